@@ -190,26 +190,8 @@ class CognitoAuth {
         localStorage.removeItem('cognito_id_token');
     }
 
-    // Admin methods for user management
-    async createUser(email, temporaryPassword) {
-        // This would typically be done server-side
-        // Included here for completeness
-        try {
-            const response = await fetch('/api/admin/create-user', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${this.accessToken}`
-                },
-                body: JSON.stringify({ email, temporaryPassword })
-            });
-
-            return response.ok;
-        } catch (error) {
-            console.error('Create user error:', error);
-            return false;
-        }
-    }
+    // Users are created in the user pool (AWS CLI or console), not from the
+    // browser; see WALKTHROUGH.md, Step 5
 }
 
 // Enhanced Resume App with Cognito Integration
@@ -295,16 +277,36 @@ class CognitoResumeApp extends ResumeApp {
         }
     }
 
+    // Follows nextCursor through every page. Returns the items, or the first
+    // failed response.
+    async fetchAllPages(path, field) {
+        const items = [];
+        let cursor = null;
+
+        do {
+            const params = new URLSearchParams({ limit: 100 });
+            if (cursor) params.set('cursor', cursor);
+
+            const response = await this.makeAuthenticatedRequest(`${this.apiUrl}${path}?${params}`);
+            if (!response.ok) return { response };
+
+            const page = await response.json();
+            items.push(...page[field]);
+            cursor = page.nextCursor;
+        } while (cursor);
+
+        return { items };
+    }
+
     async loadPhotos() {
         const photoGallery = document.getElementById('photoGallery');
         if (!photoGallery) return;
 
         try {
-            const response = await this.makeAuthenticatedRequest(`${this.apiUrl}/api/protected/photos`);
+            const { items, response } = await this.fetchAllPages('/api/protected/photos', 'photos');
 
-            if (response.ok) {
-                const photos = await response.json();
-                this.renderPhotos(photos);
+            if (items) {
+                this.renderPhotos(items);
             } else if (response.status === 401) {
                 this.cognitoAuth.logout();
             } else {
@@ -321,11 +323,10 @@ class CognitoResumeApp extends ResumeApp {
         if (!documentsList) return;
 
         try {
-            const response = await this.makeAuthenticatedRequest(`${this.apiUrl}/api/protected/documents`);
+            const { items, response } = await this.fetchAllPages('/api/protected/documents', 'documents');
 
-            if (response.ok) {
-                const documents = await response.json();
-                this.renderDocuments(documents);
+            if (items) {
+                this.renderDocuments(items);
             } else if (response.status === 401) {
                 this.cognitoAuth.logout();
             } else {
@@ -443,16 +443,36 @@ class OktaResumeApp extends ResumeApp {
         }
     }
 
+    // Follows nextCursor through every page. Returns the items, or the first
+    // failed response.
+    async fetchAllPages(path, field) {
+        const items = [];
+        let cursor = null;
+
+        do {
+            const params = new URLSearchParams({ limit: 100 });
+            if (cursor) params.set('cursor', cursor);
+
+            const response = await this.makeAuthenticatedRequest(`${this.apiUrl}${path}?${params}`);
+            if (!response.ok) return { response };
+
+            const page = await response.json();
+            items.push(...page[field]);
+            cursor = page.nextCursor;
+        } while (cursor);
+
+        return { items };
+    }
+
     async loadPhotos() {
         const photoGallery = document.getElementById('photoGallery');
         if (!photoGallery) return;
 
         try {
-            const response = await this.makeAuthenticatedRequest(`${this.apiUrl}/api/protected/photos`);
+            const { items, response } = await this.fetchAllPages('/api/protected/photos', 'photos');
 
-            if (response.ok) {
-                const photos = await response.json();
-                this.renderPhotos(photos);
+            if (items) {
+                this.renderPhotos(items);
             } else if (response.status === 401) {
                 // Try to refresh token
                 const refreshed = await this.oktaAuth.refreshAccessToken();
@@ -473,11 +493,10 @@ class OktaResumeApp extends ResumeApp {
         if (!documentsList) return;
 
         try {
-            const response = await this.makeAuthenticatedRequest(`${this.apiUrl}/api/protected/documents`);
+            const { items, response } = await this.fetchAllPages('/api/protected/documents', 'documents');
 
-            if (response.ok) {
-                const documents = await response.json();
-                this.renderDocuments(documents);
+            if (items) {
+                this.renderDocuments(items);
             } else if (response.status === 401) {
                 // Try to refresh token
                 const refreshed = await this.oktaAuth.refreshAccessToken();
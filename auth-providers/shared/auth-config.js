@@ -104,7 +104,7 @@ class AuthProviderDetector {
                 return {
                     type: 'basic',
                     config: null,
-                    features: ['simple', 'jwt-based']
+                    features: ['simple', 'jwt-based', 'mfa', 'passkeys']
                 };
         }
     }
@@ -0,0 +1,43 @@
+// Creates the ADMIN_EMAIL account. /api/register is open to anyone, so it
+// refuses that address and the owner's account is made here instead:
+//   ADMIN_EMAIL=you@example.com ADMIN_PASSWORD=... npm run create-admin
+// Run it with the same DATABASE_URL as the server, after the migrations.
+
+const bcrypt = require('bcryptjs');
+const { Pool } = require('pg');
+
+async function createAdmin(pool) {
+  const email = (process.env.ADMIN_EMAIL || '').trim().toLowerCase();
+  const password = process.env.ADMIN_PASSWORD;
+
+  if (!email || !password) {
+    throw new Error('ADMIN_EMAIL and ADMIN_PASSWORD are required');
+  }
+
+  try {
+    await pool.query(
+      'INSERT INTO users (email, password_hash) VALUES ($1, $2)',
+      [email, await bcrypt.hash(password, 12)]
+    );
+  } catch (error) {
+    if (error.code === '23505') { // Unique violation
+      throw new Error(`${email} already has an account; use /api/password/forgot to reset its password`);
+    }
+    throw error;
+  }
+
+  return email;
+}
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+createAdmin(pool)
+  .then(email => console.log(`Created admin account ${email}`))
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
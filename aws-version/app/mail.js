@@ -0,0 +1,66 @@
+// Outgoing mail, matching the Cloudflare worker's src/mail.js
+// Every transport has one method, send({ to, subject, text, html }).
+// MAIL_TRANSPORT picks one: 'http' posts to an HTTP mail API, 'log' writes
+// messages to stdout for local development.
+
+// JSON { from, to, subject, text, html } with a bearer key, as Resend's API
+// takes it; point MAIL_API_URL at any service that accepts the same body
+const DEFAULT_MAIL_API_URL = 'https://api.resend.com/emails';
+
+class HttpMailTransport {
+  constructor(apiUrl, apiKey, from) {
+    this.apiUrl = apiUrl;
+    this.apiKey = apiKey;
+    this.from = from;
+  }
+
+  async send({ to, subject, text, html }) {
+    const response = await fetch(this.apiUrl, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ from: this.from, to: [to], subject, text, html })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Mail API responded with ${response.status}: ${await response.text()}`);
+    }
+  }
+}
+
+// Prints messages (reset links included) to the container log. Never use it
+// in production: anyone with access to the logs could reset passwords.
+class LogMailTransport {
+  async send({ to, subject, text }) {
+    console.log(`[mail] To: ${to}\n[mail] Subject: ${subject}\n${text}`);
+  }
+}
+
+// Returns the configured transport, or null when mail isn't set up. Throws on
+// incomplete configuration so the server fails at startup, not on first use.
+function createMailTransport(env = process.env) {
+  const transport = env.MAIL_TRANSPORT || (env.MAIL_API_KEY ? 'http' : null);
+
+  switch (transport) {
+    case null:
+      return null;
+
+    case 'http': {
+      const missing = ['MAIL_API_KEY', 'MAIL_FROM'].filter(name => !env[name]);
+      if (missing.length > 0) {
+        throw new Error(`Incomplete mail configuration: missing ${missing.join(', ')}`);
+      }
+      return new HttpMailTransport(env.MAIL_API_URL || DEFAULT_MAIL_API_URL, env.MAIL_API_KEY, env.MAIL_FROM);
+    }
+
+    case 'log':
+      return new LogMailTransport();
+
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${transport}"; use "http" or "log"`);
+  }
+}
+
+module.exports = { HttpMailTransport, LogMailTransport, createMailTransport };
@@ -0,0 +1,158 @@
+// Postgres schema migrations
+// Pending migrations run in version order at server startup, or by hand with
+// `npm run migrate`. Each one runs in a transaction together with its
+// schema_migrations row. Never edit a migration that has shipped; add a new
+// one instead.
+
+const MIGRATIONS = [
+  {
+    // The schema initializeDatabase used to create at startup
+    version: 1,
+    name: 'baseline',
+    statements: [
+      `CREATE TABLE IF NOT EXISTS users (
+        id SERIAL PRIMARY KEY,
+        email VARCHAR(255) UNIQUE NOT NULL,
+        password_hash VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`,
+      `CREATE TABLE IF NOT EXISTS media_acl (
+        id SERIAL PRIMARY KEY,
+        prefix VARCHAR(1024) NOT NULL,
+        principal_type VARCHAR(10) NOT NULL CHECK (principal_type IN ('email', 'group')),
+        principal VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (prefix, principal_type, principal)
+      )`
+    ]
+  },
+  {
+    version: 2,
+    name: 'user_profile',
+    statements: [
+      `ALTER TABLE users
+        ADD COLUMN last_login_at TIMESTAMP,
+        ADD COLUMN disabled_at TIMESTAMP,
+        ADD COLUMN display_name VARCHAR(255)`
+    ]
+  },
+  {
+    // Append-only record of who logged in and which photos and documents they opened
+    version: 3,
+    name: 'access_log',
+    statements: [
+      `CREATE TABLE access_log (
+        id SERIAL PRIMARY KEY,
+        event VARCHAR(50) NOT NULL,
+        outcome VARCHAR(10) NOT NULL CHECK (outcome IN ('success', 'failure')),
+        user_id VARCHAR(255),
+        email VARCHAR(255),
+        object_key VARCHAR(1024),
+        ip VARCHAR(64),
+        country VARCHAR(2),
+        user_agent TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`,
+      'CREATE INDEX access_log_created ON access_log (created_at)',
+      'CREATE INDEX access_log_user ON access_log (user_id, created_at)',
+      'CREATE INDEX access_log_email ON access_log (email, created_at)'
+    ]
+  },
+  {
+    // Self-service password resets; tokens are stored as SHA-256 hashes.
+    // token_version is signed into access tokens and bumped to revoke them.
+    version: 4,
+    name: 'password_resets',
+    statements: [
+      'ALTER TABLE users ADD COLUMN token_version INTEGER NOT NULL DEFAULT 0',
+      `CREATE TABLE password_resets (
+        token_hash VARCHAR(64) PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`,
+      'CREATE INDEX password_resets_user ON password_resets (user_id, created_at)'
+    ]
+  },
+  {
+    // Emails are now trimmed and lowercased before they are stored or looked
+    // up. Fails if two accounts differ only in case; merge them first.
+    version: 5,
+    name: 'users_email_lower',
+    statements: [
+      'UPDATE users SET email = lower(trim(email))',
+      'CREATE UNIQUE INDEX users_email_lower ON users (lower(email))'
+    ]
+  }
+];
+
+// Serializes migrations across containers starting at the same time
+const MIGRATION_LOCK_ID = 7245001;
+
+async function migrate(pool) {
+  const client = await pool.connect();
+  const applied = [];
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    const { rows } = await client.query('SELECT version FROM schema_migrations');
+    const versions = new Set(rows.map(row => row.version));
+
+    for (const migration of MIGRATIONS) {
+      if (versions.has(migration.version)) {
+        continue;
+      }
+
+      try {
+        await client.query('BEGIN');
+        for (const sql of migration.statements) {
+          await client.query(sql);
+        }
+        await client.query(
+          'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+          [migration.version, migration.name]
+        );
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+      }
+
+      console.log(`Applied migration ${migration.version} (${migration.name})`);
+      applied.push(migration);
+    }
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+
+  return applied;
+}
+
+module.exports = { MIGRATIONS, migrate };
+
+// npm run migrate
+if (require.main === module) {
+  const { Pool } = require('pg');
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+  });
+
+  migrate(pool)
+    .then(applied => console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Schema is up to date'))
+    .catch(error => {
+      console.error(error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
@@ -6,9 +6,13 @@ const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const { Pool } = require('pg');
 const AWS = require('aws-sdk');
 const multer = require('multer');
+const path = require('path');
+const { migrate } = require('./migrations');
+const { createMailTransport } = require('./mail');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -23,6 +27,9 @@ const s3 = new AWS.S3({
   region: process.env.AWS_REGION || 'us-east-1'
 });
 
+// Mail for password reset links (optional; see mail.js)
+const mail = createMailTransport();
+
 // Database connection
 const pool = new Pool({
   connectionString: DATABASE_URL,
@@ -47,7 +54,8 @@ app.use(cors({
   origin: process.env.NODE_ENV === 'production' 
     ? ['https://yourname.com', 'https://www.yourname.com'] 
     : ['http://localhost:3000', 'http://localhost:8080'],
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['Content-Length', 'Content-Range', 'Accept-Ranges', 'ETag', 'Last-Modified']
 }));
 
 app.use(express.json({ limit: '10mb' }));
@@ -69,20 +77,32 @@ const authLimiter = rateLimit({
 app.use('/api/', limiter);
 app.use('/api/login', authLimiter);
 app.use('/api/register', authLimiter);
+app.use('/api/password', authLimiter);
+
+// Multer configuration for file uploads, matching the Cloudflare worker
+const UPLOAD_ALLOWED_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  pdf: 'application/pdf',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  txt: 'text/plain'
+};
 
-// Multer configuration for file uploads
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: {
     fileSize: 10 * 1024 * 1024, // 10MB limit
   },
   fileFilter: (req, file, cb) => {
-    // Allow images and documents
-    const allowedTypes = /jpeg|jpg|png|gif|pdf|doc|docx|txt/;
-    const extname = allowedTypes.test(file.originalname.toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype);
+    // Allow images and documents, by extension and the exact content type
+    // that goes with it (the stored type is served back)
+    const extname = path.extname(file.originalname).slice(1).toLowerCase();
+    const mimetype = Object.prototype.hasOwnProperty.call(UPLOAD_ALLOWED_TYPES, extname) ? UPLOAD_ALLOWED_TYPES[extname] : null;
 
-    if (mimetype && extname) {
+    if (mimetype && file.mimetype === mimetype) {
       return cb(null, true);
     } else {
       cb(new Error('Invalid file type'));
@@ -90,23 +110,6 @@ const upload = multer({
   }
 });
 
-// Database initialization
-async function initializeDatabase() {
-  try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        id SERIAL PRIMARY KEY,
-        email VARCHAR(255) UNIQUE NOT NULL,
-        password_hash VARCHAR(255) NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    console.log('Database initialized successfully');
-  } catch (error) {
-    console.error('Database initialization error:', error);
-  }
-}
-
 // JWT middleware
 function authenticateToken(req, res, next) {
   const authHeader = req.headers['authorization'];
@@ -116,15 +119,297 @@ function authenticateToken(req, res, next) {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
+  jwt.verify(token, JWT_SECRET, async (err, user) => {
     if (err) {
       return res.status(403).json({ error: 'Invalid or expired token' });
     }
+
+    try {
+      const result = await pool.query('SELECT token_version FROM users WHERE id = $1', [user.userId]);
+      if (result.rows.length === 0 || result.rows[0].token_version !== (user.tv || 0)) {
+        return res.status(403).json({ error: 'Invalid or expired token' });
+      }
+    } catch (error) {
+      return next(error);
+    }
+
     req.user = user;
     next();
   });
 }
 
+// Access tokens carry the user's token_version (tv). Password changes and
+// resets bump it, which signs out every token issued before.
+function signAccessToken(user) {
+  return jwt.sign(
+    { userId: user.id, email: user.email, tv: user.token_version },
+    JWT_SECRET,
+    { expiresIn: '24h' }
+  );
+}
+
+// Password reset links, emailed by /api/password/forgot. Single use, stored
+// as SHA-256 hashes, and capped per friend so the form can't flood an inbox.
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const PASSWORD_RESET_LIMIT = 3; // links per friend per hour
+
+function sha256Hex(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// The API is served from api.<domain>; links point at the site itself
+function getSiteUrl(req) {
+  return process.env.SITE_URL || `${req.protocol}://${req.get('host').replace(/^api\./, '')}`;
+}
+
+function resetLinkMessage(user, link) {
+  return {
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.display_name || user.email},`,
+      '',
+      `Use this link to choose a new password. It works once and expires in ${PASSWORD_RESET_TTL_MINUTES} minutes:`,
+      '',
+      link,
+      '',
+      "If you didn't ask for it, you can ignore this email."
+    ].join('\n')
+  };
+}
+
+// Emails are stored and looked up trimmed and lowercased; the users_email_lower
+// index keeps case variants of one address from registering twice
+function normalizeEmail(email) {
+  return typeof email === 'string' && email ? email.trim().toLowerCase() : null;
+}
+
+// Registration is open, so /api/register refuses ADMIN_EMAIL; the owner's
+// account is created with `npm run create-admin` instead
+function isAdmin(user) {
+  const adminEmail = normalizeEmail(process.env.ADMIN_EMAIL);
+  return Boolean(adminEmail && normalizeEmail(user.email) === adminEmail);
+}
+
+function requireAdmin(req, res, next) {
+  authenticateToken(req, res, () => {
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    next();
+  });
+}
+
+// Access log, matching the Cloudflare worker: an append-only record of
+// logins, photo views and document downloads. Rows are written once the
+// response has finished; 4xx responses are logged as failures.
+const ACCESS_LOG_COLUMNS = ['created_at', 'event', 'outcome', 'user_id', 'email', 'object_key', 'ip', 'country', 'user_agent'];
+const ACCESS_LOG_MAX_ROWS = 10000;
+
+// The load balancer puts the client address first in X-Forwarded-For
+function clientIp(req) {
+  const forwarded = req.get('X-Forwarded-For');
+  return forwarded ? forwarded.split(',')[0].trim() : req.ip;
+}
+
+function audit(event, { skip = () => false } = {}) {
+  return (req, res, next) => {
+    if (!skip(req)) {
+      const objectKey = req.params.key || null;
+      res.on('finish', () => {
+        if (res.statusCode >= 500) {
+          return;
+        }
+        // Logins set res.locals.user; everything else is authenticated
+        const user = req.user || res.locals.user || {};
+        const email = user.email || (req.body && req.body.email);
+        // Handlers can refine the event, e.g. a document previewed inline
+        const loggedEvent = res.locals.auditEvent || event;
+        pool.query(
+          `INSERT INTO access_log (event, outcome, user_id, email, object_key, ip, country, user_agent)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+          [
+            loggedEvent,
+            res.statusCode < 400 ? 'success' : 'failure',
+            user.userId == null ? null : String(user.userId),
+            normalizeEmail(email),
+            objectKey,
+            clientIp(req),
+            (req.get('CloudFront-Viewer-Country') || '').slice(0, 2) || null,
+            req.get('User-Agent') || null
+          ]
+        ).catch(error => console.error('Access log write failed:', error));
+      });
+    }
+    next();
+  };
+}
+
+// Ranged reads past the first byte continue a download that is already logged
+function isContinuedRead(req) {
+  const range = req.get('Range');
+  return Boolean(range && !/^bytes=0-/.test(range));
+}
+
+function csvCell(value) {
+  let text = value == null ? '' : (value instanceof Date ? value.toISOString() : String(value));
+  // Keep spreadsheets from evaluating attacker-controlled cells as formulas
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows, columns) {
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(cells => cells.map(csvCell).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+// Media access control, same rules as the Cloudflare worker: keys without
+// matching media_acl rows are visible to every friend, otherwise only to the
+// groups named for them (and ADMIN_EMAIL). Anyone can register any address
+// here, so email rules never match.
+function aclRuleMatches(rule, key) {
+  return rule.prefix.endsWith('/') ? key.startsWith(rule.prefix) : key === rule.prefix;
+}
+
+async function createMediaAccessCheck(user) {
+  if (isAdmin(user)) {
+    return () => true;
+  }
+
+  const { rows: rules } = await pool.query('SELECT prefix, principal_type, principal FROM media_acl');
+  const groups = (user.groups || []).map(group => group.toLowerCase());
+
+  return key => {
+    const matching = rules.filter(rule => aclRuleMatches(rule, key));
+    return matching.length === 0 || matching.some(rule =>
+      rule.principal_type === 'group' && groups.includes(rule.principal.toLowerCase())
+    );
+  };
+}
+
+// Paginated listings, matching the Cloudflare worker: `limit` and an opaque
+// `cursor` (the last key returned) in, `nextCursor` out
+const LIST_DEFAULT_LIMIT = 50;
+const LIST_MAX_LIMIT = 200;
+
+// A cursor that doesn't decode to a key under the listing's prefix was not
+// issued by it; starting over from page one would repeat items forever
+function decodeListCursor(cursor, prefix) {
+  const bytes = Buffer.from(cursor, 'base64url');
+  if (!/^[A-Za-z0-9_-]+$/.test(cursor) || bytes.toString('base64url') !== cursor) {
+    return null;
+  }
+  let key;
+  try {
+    key = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch {
+    return null;
+  }
+  return key.startsWith(prefix) ? key : null;
+}
+
+// Returns null if the cursor is invalid
+function parseListParams(req, prefix) {
+  const limit = parseInt(req.query.limit, 10) || LIST_DEFAULT_LIMIT;
+  let startAfter;
+  if (req.query.cursor) {
+    startAfter = typeof req.query.cursor === 'string' ? decodeListCursor(req.query.cursor, prefix) : null;
+    if (!startAfter) {
+      return null;
+    }
+  }
+  return {
+    limit: Math.min(Math.max(limit, 1), LIST_MAX_LIMIT),
+    startAfter
+  };
+}
+
+async function listS3Page(prefix, { limit, startAfter }, include) {
+  const items = [];
+  let more = true;
+
+  while (more && items.length < limit) {
+    const data = await s3.listObjectsV2({
+      Bucket: S3_BUCKET,
+      Prefix: prefix,
+      StartAfter: startAfter,
+      MaxKeys: Math.min(limit * 2, 1000)
+    }).promise();
+    more = data.IsTruncated && data.Contents.length > 0;
+
+    for (const [index, obj] of data.Contents.entries()) {
+      startAfter = obj.Key;
+      if (obj.Key === prefix || !include(obj)) { // Exclude folder itself
+        continue;
+      }
+      items.push(obj);
+      if (items.length === limit) {
+        more = more || index < data.Contents.length - 1;
+        break;
+      }
+    }
+  }
+
+  return {
+    items,
+    nextCursor: more ? Buffer.from(startAfter, 'utf8').toString('base64url') : null
+  };
+}
+
+// Streams an S3 object with ETag/Last-Modified, honouring If-None-Match,
+// If-Modified-Since (304) and Range (206/416) like the Cloudflare worker.
+// `headers` holds defaults the stored metadata may override; `overrides` always wins.
+async function sendS3Object(req, res, key, headers, overrides = {}) {
+  const params = {
+    Bucket: S3_BUCKET,
+    Key: key
+  };
+
+  if (req.headers['if-none-match']) {
+    params.IfNoneMatch = req.headers['if-none-match'];
+  }
+  const ifModifiedSince = new Date(req.headers['if-modified-since']);
+  if (!isNaN(ifModifiedSince)) {
+    params.IfModifiedSince = ifModifiedSince;
+  }
+  if (req.headers.range) {
+    params.Range = req.headers.range;
+  }
+
+  let data;
+  try {
+    data = await s3.getObject(params).promise();
+  } catch (error) {
+    if (error.code === 'NotModified' || error.statusCode === 304) {
+      return res.status(304).end();
+    }
+    if (error.code === 'InvalidRange') {
+      const head = await s3.headObject({ Bucket: S3_BUCKET, Key: key }).promise();
+      return res.status(416).set('Content-Range', `bytes */${head.ContentLength}`).end();
+    }
+    throw error;
+  }
+
+  res.set({
+    ...headers,
+    'Content-Type': data.ContentType || headers['Content-Type'],
+    'Content-Length': data.ContentLength,
+    'ETag': data.ETag,
+    'Last-Modified': data.LastModified.toUTCString(),
+    'Accept-Ranges': 'bytes',
+    ...overrides
+  });
+
+  if (data.ContentRange) {
+    res.status(206).set('Content-Range', data.ContentRange);
+  }
+
+  res.send(data.Body);
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({ 
@@ -137,20 +422,25 @@ app.get('/health', (req, res) => {
 // Authentication endpoints
 app.post('/api/register', async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const email = normalizeEmail(req.body.email);
+    const { password, displayName } = req.body;
 
     if (!email || !password) {
       return res.status(400).json({ error: 'Email and password required' });
     }
 
+    if (email === normalizeEmail(process.env.ADMIN_EMAIL)) {
+      return res.status(403).json({ error: 'This email cannot register' });
+    }
+
     // Hash password
     const saltRounds = 12;
     const passwordHash = await bcrypt.hash(password, saltRounds);
 
     // Insert user
     const result = await pool.query(
-      'INSERT INTO users (email, password_hash) VALUES ($1, $2) RETURNING id, email',
-      [email, passwordHash]
+      'INSERT INTO users (email, password_hash, display_name) VALUES ($1, $2, $3) RETURNING id, email',
+      [email, passwordHash, displayName || null]
     );
 
     res.status(201).json({ 
@@ -166,9 +456,10 @@ app.post('/api/register', async (req, res) => {
   }
 });
 
-app.post('/api/login', async (req, res) => {
+app.post('/api/login', audit('login'), async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const email = normalizeEmail(req.body.email);
+    const { password } = req.body;
 
     if (!email || !password) {
       return res.status(400).json({ error: 'Email and password required' });
@@ -192,12 +483,15 @@ app.post('/api/login', async (req, res) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
+    if (user.disabled_at) {
+      return res.status(403).json({ error: 'Account disabled' });
+    }
+
+    await pool.query('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = $1', [user.id]);
+    res.locals.user = { userId: user.id, email: user.email };
+
     // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    const token = signAccessToken(user);
 
     res.json({ 
       token, 
@@ -209,19 +503,128 @@ app.post('/api/login', async (req, res) => {
   }
 });
 
+// Emails a reset link. The answer is the same whether or not the email has an
+// account, so the form can't be used to probe for friends.
+app.post('/api/password/forgot', async (req, res) => {
+  try {
+    if (!mail) {
+      return res.status(501).json({ error: 'Password reset email is not configured' });
+    }
+
+    const email = normalizeEmail(req.body.email);
+    if (!email) {
+      return res.status(400).json({ error: 'Email required' });
+    }
+
+    const result = await pool.query(
+      `SELECT id, email, display_name, disabled_at,
+        (SELECT COUNT(*) FROM password_resets
+         WHERE user_id = users.id AND created_at > CURRENT_TIMESTAMP - INTERVAL '1 hour')::int AS recent_resets
+       FROM users WHERE email = $1`,
+      [email]
+    );
+    const user = result.rows[0];
+
+    if (user && !user.disabled_at && user.recent_resets < PASSWORD_RESET_LIMIT) {
+      const token = crypto.randomBytes(32).toString('hex');
+      await pool.query(
+        `INSERT INTO password_resets (token_hash, user_id, expires_at)
+         VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(mins => $3))`,
+        [sha256Hex(token), user.id, PASSWORD_RESET_TTL_MINUTES]
+      );
+      // Not awaited, so response time doesn't reveal the account either
+      mail.send(resetLinkMessage(user, `${getSiteUrl(req)}/?reset=${token}`))
+        .catch(error => console.error('Password reset email failed:', error));
+    }
+
+    res.json({ message: 'If that email belongs to a friend, a reset link is on its way.' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/password/reset', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Token and password required' });
+    }
+
+    const passwordHash = await bcrypt.hash(password, 12);
+    const result = await pool.query(
+      `WITH reset AS (
+        UPDATE password_resets SET used_at = CURRENT_TIMESTAMP
+        WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+        RETURNING user_id
+      )
+      UPDATE users SET password_hash = $2, token_version = token_version + 1
+      FROM reset WHERE users.id = reset.user_id
+      RETURNING users.id`,
+      [sha256Hex(String(token)), passwordHash]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(400).json({ error: 'Invalid or expired reset link' });
+    }
+
+    res.json({ message: 'Password reset successfully' });
+  } catch (error) {
+    console.error('Password reset error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Tokens are stateless, so "other sessions" are revoked by bumping
+// token_version; the caller gets a fresh token to stay signed in
+app.post('/api/password/change', authenticateToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: 'Current and new password required' });
+    }
+
+    const result = await pool.query('SELECT * FROM users WHERE id = $1', [req.user.userId]);
+    const user = result.rows[0];
+
+    if (!user || !(await bcrypt.compare(currentPassword, user.password_hash))) {
+      return res.status(403).json({ error: 'Current password is incorrect' });
+    }
+
+    const updated = await pool.query(
+      `UPDATE users SET password_hash = $1, token_version = token_version + 1
+       WHERE id = $2 RETURNING id, email, token_version`,
+      [await bcrypt.hash(newPassword, 12), user.id]
+    );
+    await pool.query(
+      'UPDATE password_resets SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND used_at IS NULL',
+      [user.id]
+    );
+
+    res.json({
+      message: 'Password changed successfully',
+      token: signAccessToken(updated.rows[0])
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Protected endpoints
 app.get('/api/protected/photos', authenticateToken, async (req, res) => {
   try {
-    const params = {
-      Bucket: S3_BUCKET,
-      Prefix: 'photos/',
-      MaxKeys: 100
-    };
+    const listParams = parseListParams(req, 'photos/');
+    if (!listParams) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
 
-    const data = await s3.listObjectsV2(params).promise();
+    const canAccess = await createMediaAccessCheck(req.user);
+    const { items, nextCursor } = await listS3Page('photos/', listParams, obj => canAccess(obj.Key));
     
-    const photos = data.Contents
-      .filter(obj => obj.Key !== 'photos/') // Exclude folder itself
+    const photos = items
       .map(obj => ({
         name: obj.Key.replace('photos/', ''),
         key: obj.Key,
@@ -230,31 +633,29 @@ app.get('/api/protected/photos', authenticateToken, async (req, res) => {
         lastModified: obj.LastModified
       }));
 
-    res.json(photos);
+    res.json({ photos, nextCursor });
   } catch (error) {
     console.error('Error listing photos:', error);
     res.status(500).json({ error: 'Failed to list photos' });
   }
 });
 
-app.get('/api/protected/photo/:key(*)', authenticateToken, async (req, res) => {
+app.get('/api/protected/photo/:key(*)', audit('photo.view', { skip: isContinuedRead }), authenticateToken, async (req, res) => {
   try {
     const key = decodeURIComponent(req.params.key);
-    
-    const params = {
-      Bucket: S3_BUCKET,
-      Key: key
-    };
+    if (!key.startsWith('photos/')) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
 
-    const data = await s3.getObject(params).promise();
-    
-    res.set({
-      'Content-Type': data.ContentType || 'image/jpeg',
-      'Content-Length': data.ContentLength,
+    const canAccess = await createMediaAccessCheck(req.user);
+    if (!canAccess(key)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    await sendS3Object(req, res, key, {
+      'Content-Type': 'image/jpeg',
       'Cache-Control': 'public, max-age=3600'
     });
-    
-    res.send(data.Body);
   } catch (error) {
     if (error.code === 'NoSuchKey') {
       return res.status(404).json({ error: 'Photo not found' });
@@ -266,16 +667,15 @@ app.get('/api/protected/photo/:key(*)', authenticateToken, async (req, res) => {
 
 app.get('/api/protected/documents', authenticateToken, async (req, res) => {
   try {
-    const params = {
-      Bucket: S3_BUCKET,
-      Prefix: 'documents/',
-      MaxKeys: 100
-    };
+    const listParams = parseListParams(req, 'documents/');
+    if (!listParams) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
 
-    const data = await s3.listObjectsV2(params).promise();
+    const canAccess = await createMediaAccessCheck(req.user);
+    const { items, nextCursor } = await listS3Page('documents/', listParams, obj => canAccess(obj.Key));
     
-    const documents = data.Contents
-      .filter(obj => obj.Key !== 'documents/') // Exclude folder itself
+    const documents = items
       .map(obj => ({
         name: obj.Key.replace('documents/', ''),
         key: obj.Key,
@@ -284,31 +684,64 @@ app.get('/api/protected/documents', authenticateToken, async (req, res) => {
         lastModified: obj.LastModified
       }));
 
-    res.json(documents);
+    res.json({ documents, nextCursor });
   } catch (error) {
     console.error('Error listing documents:', error);
     res.status(500).json({ error: 'Failed to list documents' });
   }
 });
 
-app.get('/api/protected/document/:key(*)', authenticateToken, async (req, res) => {
+// Documents the friends section can preview with ?inline=1, by extension, as
+// in the Cloudflare worker. The type stored at upload came from the browser,
+// so inline responses never use it.
+const INLINE_DOCUMENT_TYPES = {
+  pdf: 'application/pdf',
+  txt: 'text/plain; charset=utf-8',
+  md: 'text/markdown; charset=utf-8',
+  markdown: 'text/markdown; charset=utf-8',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp'
+};
+
+function inlineDocumentType(key) {
+  const extension = key.split('.').pop().toLowerCase();
+  return Object.prototype.hasOwnProperty.call(INLINE_DOCUMENT_TYPES, extension) ? INLINE_DOCUMENT_TYPES[extension] : null;
+}
+
+app.get('/api/protected/document/:key(*)', audit('document.download', { skip: isContinuedRead }), authenticateToken, async (req, res) => {
   try {
     const key = decodeURIComponent(req.params.key);
-    
-    const params = {
-      Bucket: S3_BUCKET,
-      Key: key
-    };
+    if (!key.startsWith('documents/')) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
 
-    const data = await s3.getObject(params).promise();
-    
-    res.set({
-      'Content-Type': data.ContentType || 'application/octet-stream',
-      'Content-Length': data.ContentLength,
-      'Content-Disposition': `attachment; filename="${key.split('/').pop()}"`
+    const canAccess = await createMediaAccessCheck(req.user);
+    if (!canAccess(key)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const filename = key.split('/').pop();
+    if (req.query.inline !== '1') {
+      return await sendS3Object(req, res, key, {
+        'Content-Type': 'application/octet-stream',
+        'Content-Disposition': `attachment; filename="${filename}"`
+      });
+    }
+
+    const inlineType = inlineDocumentType(key);
+    if (!inlineType) {
+      return res.status(415).json({ error: 'This document type cannot be previewed' });
+    }
+
+    res.locals.auditEvent = 'document.view';
+    await sendS3Object(req, res, key, {}, {
+      'Content-Type': inlineType,
+      'Content-Disposition': `inline; filename="${filename}"`,
+      'X-Content-Type-Options': 'nosniff'
     });
-    
-    res.send(data.Body);
   } catch (error) {
     if (error.code === 'NoSuchKey') {
       return res.status(404).json({ error: 'Document not found' });
@@ -318,6 +751,61 @@ app.get('/api/protected/document/:key(*)', authenticateToken, async (req, res) =
   }
 });
 
+// Access log for ADMIN_EMAIL, filtered by user (id or email), event, key
+// prefix and an inclusive from/to date range. ?format=csv downloads it.
+app.get('/api/admin/access-log', requireAdmin, async (req, res) => {
+  try {
+    const filters = [];
+    const params = [];
+    const { user, event, key, format } = req.query;
+
+    if (user) {
+      params.push(String(user), String(user).toLowerCase());
+      filters.push(`(user_id = $${params.length - 1} OR email = $${params.length})`);
+    }
+    if (event) {
+      params.push(String(event));
+      filters.push(`event = $${params.length}`);
+    }
+    if (key) {
+      params.push(String(key));
+      filters.push(`starts_with(object_key, $${params.length})`);
+    }
+
+    for (const [name, filter] of [['from', 'created_at >= $N::date'], ['to', "created_at < $N::date + INTERVAL '1 day'"]]) {
+      const value = req.query[name];
+      if (!value) {
+        continue;
+      }
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value))) {
+        return res.status(400).json({ error: `${name} must be a date (YYYY-MM-DD)` });
+      }
+      params.push(value);
+      filters.push(filter.replace('$N', `$${params.length}`));
+    }
+
+    const csv = format === 'csv';
+    params.push(csv ? ACCESS_LOG_MAX_ROWS : Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000));
+
+    const { rows } = await pool.query(
+      `SELECT id, ${ACCESS_LOG_COLUMNS.join(', ')} FROM access_log
+       ${filters.length > 0 ? `WHERE ${filters.join(' AND ')}` : ''}
+       ORDER BY id DESC
+       LIMIT $${params.length}`,
+      params
+    );
+
+    if (!csv) {
+      return res.json(rows);
+    }
+    res.set('Content-Disposition', `attachment; filename="access-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.type('text/csv').send(toCsv(rows, ACCESS_LOG_COLUMNS));
+  } catch (error) {
+    console.error('Error reading access log:', error);
+    res.status(500).json({ error: 'Failed to read access log' });
+  }
+});
+
 // File upload endpoints (for admin use)
 app.post('/api/protected/upload/photo', authenticateToken, upload.single('photo'), async (req, res) => {
   try {
@@ -395,7 +883,8 @@ app.use('*', (req, res) => {
 // Start server
 async function startServer() {
   try {
-    await initializeDatabase();
+    // Apply pending schema migrations before taking traffic
+    await migrate(pool);
     
     app.listen(PORT, '0.0.0.0', () => {
       console.log(`Server running on port ${PORT}`);
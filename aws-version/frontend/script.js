@@ -155,17 +155,36 @@ enValid() {
         }
     }
 
-    async loadPhotos() {
-        try {
-            const response = await fetch(`${this.apiUrl}/api/protected/photos`, {
+    // Follows nextCursor through every page. Returns the items, or the first
+    // failed response.
+    async fetchAllPages(path, field) {
+        const items = [];
+        let cursor = null;
+
+        do {
+            const params = new URLSearchParams({ limit: 100 });
+            if (cursor) params.set('cursor', cursor);
+
+            const response = await fetch(`${this.apiUrl}${path}?${params}`, {
                 headers: {
                     'Authorization': `Bearer ${this.token}`
                 }
             });
+            if (!response.ok) return { response };
 
-            if (response.ok) {
-                const photos = await response.json();
-                this.renderPhotos(photos);
+            const page = await response.json();
+            items.push(...page[field]);
+            cursor = page.nextCursor;
+        } while (cursor);
+
+        return { items };
+    }
+
+    async loadPhotos() {
+        try {
+            const { items } = await this.fetchAllPages('/api/protected/photos', 'photos');
+            if (items) {
+                this.renderPhotos(items);
             }
         } catch (error) {
             console.error('Error loading photos:', error);
@@ -174,15 +193,9 @@ enValid() {
 
     async loadDocuments() {
         try {
-            const response = await fetch(`${this.apiUrl}/api/protected/documents`, {
-                headers: {
-                    'Authorization': `Bearer ${this.token}`
-                }
-            });
-
-            if (response.ok) {
-                const documents = await response.json();
-                this.renderDocuments(documents);
+            const { items } = await this.fetchAllPages('/api/protected/documents', 'documents');
+            if (items) {
+                this.renderDocuments(items);
             }
         } catch (error) {
             console.error('Error loading documents:', error);
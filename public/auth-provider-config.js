@@ -0,0 +1,24 @@
+// Auth provider configuration, loaded before the shared auth-config.js.
+// Kept out of index.html so the page needs no inline scripts.
+// Uncomment and configure your chosen auth provider:
+
+// AWS Cognito
+// window.COGNITO_CONFIG = {
+//     userPoolId: 'us-east-1_XXXXXXXXX',
+//     clientId: 'your-client-id',
+//     domain: 'https://your-domain.auth.us-east-1.amazoncognito.com'
+// };
+
+// Okta
+// window.OKTA_CONFIG = {
+//     domain: 'dev-123456.okta.com',
+//     clientId: 'your-client-id',
+//     issuer: 'https://dev-123456.okta.com/oauth2/default'
+// };
+
+// Keycloak
+// window.KEYCLOAK_CONFIG = {
+//     url: 'https://auth.yourname.com',
+//     realm: 'resume',
+//     clientId: 'resume-website'
+// };
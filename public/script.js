@@ -1,16 +1,104 @@
 // Frontend JavaScript for resume website with authentication
 
+// Photos fetched per gallery page
+const PHOTO_PAGE_SIZE = 24;
+
+// Lightbox zoom limit and the horizontal drag that counts as a swipe
+const LIGHTBOX_MAX_ZOOM = 4;
+const LIGHTBOX_SWIPE_DISTANCE = 50; // px
+
+// Document viewer zoom range for text and images
+const VIEWER_MIN_ZOOM = 0.5;
+const VIEWER_MAX_ZOOM = 3;
+
+// Document extensions the viewer can show; the worker serves the same ones
+// with ?inline=1
+const PREVIEW_KINDS = {
+    pdf: 'pdf',
+    txt: 'text',
+    md: 'text',
+    markdown: 'text',
+    jpg: 'image',
+    jpeg: 'image',
+    png: 'image',
+    gif: 'image',
+    webp: 'image'
+};
+
+// Icons used by the rendered resume, as <svg> attributes plus [tag, attributes]
+// shapes. Filled icons are brand logos; outlined ones follow the text color.
+const FILLED_ICON = { viewBox: '0 0 24 24', fill: 'currentColor' };
+const OUTLINED_ICON = { viewBox: '0 0 24 24', fill: 'none', stroke: 'currentColor', 'stroke-width': '2' };
+
+const RESUME_ICONS = {
+    linkedin: { attributes: FILLED_ICON, shapes: [['path', { d: 'M20.447 20.452h-3.554v-5.569c0-1.328-.027-3.037-1.852-3.037-1.853 0-2.136 1.445-2.136 2.939v5.667H9.351V9h3.414v1.561h.046c.477-.9 1.637-1.85 3.37-1.85 3.601 0 4.267 2.37 4.267 5.455v6.286zM5.337 7.433c-1.144 0-2.063-.926-2.063-2.065 0-1.138.92-2.063 2.063-2.063 1.14 0 2.064.925 2.064 2.063 0 1.139-.925 2.065-2.064 2.065zm1.782 13.019H3.555V9h3.564v11.452zM22.225 0H1.771C.792 0 0 .774 0 1.729v20.542C0 23.227.792 24 1.771 24h20.451C23.2 24 24 23.227 24 22.271V1.729C24 .774 23.2 0 22.222 0h.003z' }]] },
+    github: { attributes: FILLED_ICON, shapes: [['path', { d: 'M12 0c-6.626 0-12 5.373-12 12 0 5.302 3.438 9.8 8.207 11.387.599.111.793-.261.793-.577v-2.234c-3.338.726-4.033-1.416-4.033-1.416-.546-1.387-1.333-1.756-1.333-1.756-1.089-.745.083-.729.083-.729 1.205.084 1.839 1.237 1.839 1.237 1.07 1.834 2.807 1.304 3.492.997.107-.775.418-1.305.762-1.604-2.665-.305-5.467-1.334-5.467-5.931 0-1.311.469-2.381 1.236-3.221-.124-.303-.535-1.524.117-3.176 0 0 1.008-.322 3.301 1.23.957-.266 1.983-.399 3.003-.404 1.02.005 2.047.138 3.006.404 2.291-1.552 3.297-1.23 3.297-1.23.653 1.653.242 2.874.118 3.176.77.84 1.235 1.911 1.235 3.221 0 4.609-2.807 5.624-5.479 5.921.43.372.823 1.102.823 2.222v3.293c0 .319.192.694.801.576 4.765-1.589 8.199-6.086 8.199-11.386 0-6.627-5.373-12-12-12z' }]] },
+    email: {
+        attributes: OUTLINED_ICON,
+        shapes: [
+            ['path', { d: 'M4 4h16c1.1 0 2 .9 2 2v12c0 1.1-.9 2-2 2H4c-1.1 0-2-.9-2-2V6c0-1.1.9-2 2-2z' }],
+            ['polyline', { points: '22,6 12,13 2,6' }]
+        ]
+    },
+    link: { attributes: OUTLINED_ICON, shapes: [['path', { d: 'M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71' }]] },
+    arrow: { attributes: { ...OUTLINED_ICON, width: '20', height: '20' }, shapes: [['path', { d: 'M7 17L17 7M17 7H7M17 7V17' }]] },
+    award: {
+        attributes: OUTLINED_ICON,
+        shapes: [['circle', { cx: '12', cy: '8', r: '6' }], ['path', { d: 'M8.21 13.89 7 23l5-3 5 3-1.21-9.12' }]]
+    },
+    aws: { attributes: FILLED_ICON, shapes: [['path', { d: 'M6.763 10.036c0 .296.032.535.088.71.064.176.144.368.256.576.048.08.064.16.064.24 0 .096-.064.192-.176.288l-.592.384c-.08.056-.16.08-.24.08-.096 0-.192-.048-.288-.144-.112-.112-.208-.24-.288-.368-.08-.144-.16-.304-.256-.48-.64.752-1.44 1.136-2.4 1.136-.688 0-1.232-.192-1.648-.576-.416-.384-.624-.896-.624-1.552 0-.688.24-1.248.736-1.68.48-.432 1.136-.64 1.952-.64.272 0 .544.016.832.064.288.032.576.096.88.16v-.528c0-.544-.112-.928-.32-1.152-.224-.224-.608-.336-1.136-.336-.256 0-.528.032-.784.08-.272.048-.528.112-.784.192-.112.048-.192.064-.256.064-.224 0-.336-.16-.336-.496v-.784c0-.256.032-.448.112-.528.08-.08.224-.16.432-.24.256-.112.576-.208.944-.272.384-.08.784-.112 1.2-.112.912 0 1.584.208 2.016.624.416.416.624 1.056.624 1.936v2.544zm-3.312 1.216c.256 0 .528-.048.784-.144.272-.096.512-.272.704-.496.112-.144.192-.304.224-.496.032-.192.064-.416.064-.672v-.32c-.208-.048-.432-.08-.672-.112-.24-.016-.464-.032-.704-.032-.496 0-.864.096-1.104.288-.24.192-.368.464-.368.816 0 .336.08.576.256.736.176.144.416.224.816.224zm6.24 1.072c-.288 0-.48-.048-.608-.16-.128-.096-.24-.288-.32-.544l-3.584-11.84c-.08-.256-.112-.432-.112-.528 0-.208.112-.336.32-.336h1.312c.304 0 .512.048.624.16.128.096.224.288.288.544l2.56 10.08 2.368-10.08c.048-.256.144-.448.272-.544.128-.112.336-.16.64-.16h1.072c.304 0 .512.048.64.16.128.096.24.288.272.544l2.4 10.16 2.64-10.16c.064-.256.176-.448.288-.544.128-.112.336-.16.624-.16h1.248c.208 0 .336.112.336.336 0 .064-.016.144-.032.224-.016.096-.048.208-.096.352l-3.68 11.84c-.08.256-.192.448-.32.544-.128.112-.336.16-.608.16h-1.152c-.304 0-.512-.048-.64-.16-.128-.112-.24-.304-.272-.56l-2.336-9.744-2.32 9.744c-.048.256-.144.448-.272.56-.128.112-.336.16-.64.16h-1.152z' }]] },
+    comptia: { attributes: FILLED_ICON, shapes: [['path', { d: 'M12 2L2 7l10 5 10-5-10-5zM2 17l10 5 10-5M2 12l10 5 10-5' }]] },
+    lpic: { attributes: FILLED_ICON, shapes: [['path', { d: 'M12.504 0C5.625 0 0.057 5.568 0.057 12.447c0 5.49 3.552 10.152 8.496 11.814 0.621 0.114 0.848-0.27 0.848-0.599 0-0.294-0.011-1.075-0.017-2.11-3.456 0.751-4.185-1.665-4.185-1.665-0.566-1.438-1.381-1.82-1.381-1.82-1.13-0.772 0.085-0.756 0.085-0.756 1.249 0.087 1.907 1.283 1.907 1.283 1.11 1.902 2.913 1.352 3.622 1.034 0.113-0.804 0.435-1.352 0.791-1.663-2.765-0.314-5.669-1.383-5.669-6.157 0-1.36 0.486-2.471 1.283-3.342-0.128-0.315-0.556-1.582 0.122-3.297 0 0 1.045-0.335 3.425 1.277 0.993-0.276 2.058-0.414 3.115-0.419 1.057 0.005 2.122 0.143 3.115 0.419 2.38-1.612 3.425-1.277 3.425-1.277 0.678 1.715 0.25 2.982 0.122 3.297 0.797 0.871 1.283 1.982 1.283 3.342 0 4.787-2.912 5.84-5.685 6.15 0.447 0.385 0.845 1.145 0.845 2.308 0 1.665-0.015 3.009-0.015 3.417 0 0.333 0.225 0.72 0.854 0.598C20.449 22.596 23.999 17.935 23.999 12.447 23.999 5.568 18.431 0 11.552 0h0.952z' }]] },
+    cisco: { attributes: FILLED_ICON, shapes: [['path', { d: 'M0.5 12C0.5 5.649 5.649 0.5 12 0.5S23.5 5.649 23.5 12 18.351 23.5 12 23.5 0.5 18.351 0.5 12zM12 1.5C6.201 1.5 1.5 6.201 1.5 12S6.201 22.5 12 22.5 22.5 17.799 22.5 12 17.799 1.5 12 1.5z' }], ['path', { d: 'M8 8h8v8H8z' }]] }
+};
+
+// Certificates are grouped by issuer. Issuers missing here get a group under
+// their own name with the award icon.
+const CERT_ISSUERS = {
+    'Amazon Web Services': { title: 'Amazon Web Services (AWS)', icon: '☁️', logo: 'aws' },
+    'CompTIA': { title: 'CompTIA', icon: '🛡️', logo: 'comptia' },
+    'Linux Professional Institute': { title: 'Linux Professional Institute (LPI)', icon: '🐧', logo: 'lpic' },
+    'Cisco Systems': { title: 'Cisco', icon: '🌐', logo: 'cisco' }
+};
+
+// Certificates this close to their endDate get an "expires soon" badge
+const CERT_EXPIRING_SOON_DAYS = 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 class ResumeApp {
     constructor() {
         this.apiUrl = `https://api.${window.location.hostname}`;
         this.token = localStorage.getItem('authToken');
+        this.refreshToken = localStorage.getItem('refreshToken');
+        this.refreshTimer = null;
+        this.refreshPromise = null;
+        this.mfaChallenge = null;
+        this.lightbox = new Lightbox({
+            onChange: (index) => this.photoShown(index),
+            onClose: () => this.setPhotoHash(null)
+        });
+        this.photos = [];
+        this.photosLoaded = false;
+        this.documents = [];
+        this.documentViewer = new DocumentViewer();
         this.init();
     }
 
-    init() {
+    async init() {
         this.setupEventListeners();
+        this.loadResume();
+
+        // Access tokens are short-lived; pick the session back up if we can
+        if (this.refreshToken && !this.isTokenValid()) {
+            await this.refreshSession();
+        }
+
         this.checkAuthStatus();
+        this.scheduleTokenRefresh();
         this.loadProtectedContent();
+        this.checkInviteLink();
+        this.checkResetLink();
+        this.checkMagicLink();
     }
 
     setupEventListeners() {
@@ -30,6 +118,85 @@ class ResumeApp {
             this.handleLogin();
         });
 
+        // Passkeys, where the browser supports them
+        if (window.PublicKeyCredential) {
+            const passkeyLoginBtn = document.getElementById('passkeyLoginBtn');
+            passkeyLoginBtn.classList.remove('hidden');
+            passkeyLoginBtn.addEventListener('click', () => {
+                this.handlePasskeyLogin();
+            });
+            document.getElementById('addPasskeyBtn').addEventListener('click', () => {
+                this.addPasskey();
+            });
+        }
+
+        // Magic link form
+        document.getElementById('magicForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleMagicLinkRequest();
+        });
+
+        // Two-factor code form
+        document.getElementById('mfaForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleMfaCode();
+        });
+
+        // Register form
+        document.getElementById('registerForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleRegister();
+        });
+
+        // Forgot password form
+        document.getElementById('forgotForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleForgotPassword();
+        });
+
+        // Change password
+        document.getElementById('changePasswordBtn').addEventListener('click', () => {
+            this.showLoginModal('changePasswordForm');
+        });
+        document.getElementById('changePasswordForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleChangePassword();
+        });
+
+        // Reset password form
+        document.getElementById('resetForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handlePasswordReset();
+        });
+
+        // Switch between login and register views
+        document.querySelectorAll('[data-modal-view]').forEach(link => {
+            link.addEventListener('click', () => {
+                this.showModalView(link.dataset.modalView);
+            });
+        });
+
+        // Gallery tiles come and go with each page; one listener serves them all
+        document.getElementById('photoGallery').addEventListener('click', (e) => {
+            const tile = e.target.closest('.photo-item');
+            if (tile) {
+                this.openPhotoAt(Number(tile.dataset.index));
+            }
+        });
+
+        // Preview buttons are rebuilt with the list, so listen on the list
+        document.getElementById('documentsList').addEventListener('click', (e) => {
+            const button = e.target.closest('.doc-preview');
+            if (button) {
+                this.previewDocument(this.documents[Number(button.dataset.index)]);
+            }
+        });
+
+        // Photo links pasted into an open page
+        window.addEventListener('hashchange', () => {
+            this.openPhotoFromHash();
+        });
+
         // Close modal
         document.querySelector('.close').addEventListener('click', () => {
             this.hideLoginModal();
@@ -60,40 +227,151 @@ class ResumeApp {
     checkAuthStatus() {
         const loginBtn = document.getElementById('loginBtn');
         const logoutBtn = document.getElementById('logoutBtn');
+        const addPasskeyBtn = document.getElementById('addPasskeyBtn');
+        const changePasswordBtn = document.getElementById('changePasswordBtn');
         const protectedSection = document.getElementById('protected');
 
         if (this.token && this.isTokenValid()) {
             loginBtn.classList.add('hidden');
             logoutBtn.classList.remove('hidden');
+            addPasskeyBtn.classList.toggle('hidden', !window.PublicKeyCredential);
+            changePasswordBtn.classList.remove('hidden');
             protectedSection.classList.remove('hidden');
         } else {
             loginBtn.classList.remove('hidden');
             logoutBtn.classList.add('hidden');
+            addPasskeyBtn.classList.add('hidden');
+            changePasswordBtn.classList.add('hidden');
             protectedSection.classList.add('hidden');
-            this.token = null;
-            localStorage.removeItem('authToken');
+            this.clearSession();
         }
     }
 
-    isTokenValid() {
-        if (!this.token) return false;
-        
+    getTokenExpiry() {
         try {
             const payload = JSON.parse(atob(this.token.split('.')[1]));
-            return payload.exp > Date.now();
+            return payload.exp * 1000;
         } catch {
-            return false;
+            return 0;
+        }
+    }
+
+    isTokenValid() {
+        if (!this.token) return false;
+        return this.getTokenExpiry() > Date.now();
+    }
+
+    setSession(data) {
+        this.token = data.token;
+        this.refreshToken = data.refreshToken;
+        localStorage.setItem('authToken', this.token);
+        localStorage.setItem('refreshToken', this.refreshToken);
+        this.scheduleTokenRefresh();
+    }
+
+    clearSession() {
+        clearTimeout(this.refreshTimer);
+        this.token = null;
+        this.refreshToken = null;
+        localStorage.removeItem('authToken');
+        localStorage.removeItem('refreshToken');
+        this.photosLoaded = false;
+    }
+
+    // Refresh a minute before the access token runs out
+    scheduleTokenRefresh() {
+        clearTimeout(this.refreshTimer);
+        if (!this.token || !this.refreshToken) return;
+
+        const delay = Math.max(this.getTokenExpiry() - Date.now() - 60 * 1000, 0);
+        this.refreshTimer = setTimeout(async () => {
+            if (!(await this.refreshSession())) {
+                this.checkAuthStatus();
+            }
+        }, delay);
+    }
+
+    // Refresh tokens rotate on every use, so concurrent callers share one request
+    refreshSession() {
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.requestTokenRefresh().finally(() => {
+                this.refreshPromise = null;
+            });
+        }
+        return this.refreshPromise;
+    }
+
+    async requestTokenRefresh() {
+        if (!this.refreshToken) return false;
+
+        try {
+            const response = await fetch(`${this.apiUrl}/api/refresh`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ refreshToken: this.refreshToken })
+            });
+
+            if (response.ok) {
+                this.setSession(await response.json());
+                return true;
+            }
+
+            if (response.status === 401) {
+                this.clearSession();
+            }
+        } catch (error) {
+            console.error('Token refresh error:', error);
+        }
+        return false;
+    }
+
+    // fetch() with the bearer token, retrying once after a silent refresh
+    async authFetch(path, options = {}) {
+        const send = () => fetch(`${this.apiUrl}${path}`, {
+            ...options,
+            headers: {
+                ...options.headers,
+                'Authorization': `Bearer ${this.token}`
+            }
+        });
+
+        let response = await send();
+        if (response.status === 401 && await this.refreshSession()) {
+            response = await send();
         }
+        return response;
     }
 
-    showLoginModal() {
+    showLoginModal(view = 'loginForm') {
         document.getElementById('loginModal').classList.remove('hidden');
-        document.getElementById('email').focus();
+        this.showModalView(view);
     }
 
     hideLoginModal() {
+        this.mfaChallenge = null;
         document.getElementById('loginModal').classList.add('hidden');
-        document.getElementById('loginForm').reset();
+        document.querySelectorAll('#loginModal form').forEach(form => form.reset());
+    }
+
+    showModalView(viewId) {
+        document.querySelectorAll('#loginModal .modal-view').forEach(view => {
+            view.classList.toggle('hidden', view.id !== viewId);
+        });
+        const firstInput = document.querySelector(`#${viewId} input`);
+        if (firstInput) firstInput.focus();
+    }
+
+    // Invite links look like https://yourname.com/?invite=CODE
+    checkInviteLink() {
+        const params = new URLSearchParams(window.location.search);
+        const inviteCode = params.get('invite');
+        if (!inviteCode || this.token) return;
+
+        this.showLoginModal('registerForm');
+        document.getElementById('inviteCode').value = inviteCode;
+        document.getElementById('registerEmail').focus();
     }
 
     async handleLogin() {
@@ -117,13 +395,13 @@ class ResumeApp {
 
             const data = await response.json();
 
-            if (response.ok) {
-                this.token = data.token;
-                localStorage.setItem('authToken', this.token);
-                this.hideLoginModal();
-                this.checkAuthStatus();
-                this.loadProtectedContent();
-                this.showNotification('Welcome back!', 'success');
+            if (response.ok && data.mfaRequired) {
+                // Password accepted; the account also needs a code
+                this.mfaChallenge = data.challenge;
+                document.getElementById('password').value = '';
+                this.showModalView('mfaForm');
+            } else if (response.ok) {
+                this.completeLogin(data);
             } else {
                 this.showNotification(data.error || 'Login failed', 'error');
             }
@@ -136,177 +414,1513 @@ class ResumeApp {
         }
     }
 
-    logout() {
-        this.token = null;
-        localStorage.removeItem('authToken');
-        this.checkAuthStatus();
-        this.showNotification('Logged out successfully', 'success');
-    }
+    async handleMfaCode() {
+        const code = document.getElementById('mfaCode').value.trim();
+        const submitBtn = document.querySelector('#mfaForm button[type="submit"]');
 
-    async loadProtectedContent() {
-        if (!this.token || !this.isTokenValid()) return;
+        const originalText = submitBtn.textContent;
+        submitBtn.textContent = 'Verifying...';
+        submitBtn.disabled = true;
 
         try {
-            await Promise.all([
-                this.loadPhotos(),
-                this.loadDocuments()
-            ]);
+            const response = await fetch(`${this.apiUrl}/api/login/mfa`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ challenge: this.mfaChallenge, code })
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                this.completeLogin(data);
+            } else {
+                this.showNotification(data.error || 'Verification failed', 'error');
+                document.getElementById('mfaCode').value = '';
+
+                // The challenge expired or ran out of attempts; start over
+                if (response.status === 400) {
+                    this.mfaChallenge = null;
+                    this.showModalView('loginForm');
+                }
+            }
         } catch (error) {
-            console.error('Error loading protected content:', error);
+            console.error('Two-factor error:', error);
+            this.showNotification('Connection error. Please try again.', 'error');
+        } finally {
+            submitBtn.textContent = originalText;
+            submitBtn.disabled = false;
         }
     }
 
-    async loadPhotos() {
+    async handleMagicLinkRequest() {
+        const email = document.getElementById('magicEmail').value;
+        const submitBtn = document.querySelector('#magicForm button[type="submit"]');
+
+        const originalText = submitBtn.textContent;
+        submitBtn.textContent = 'Sending...';
+        submitBtn.disabled = true;
+
         try {
-            const response = await fetch(`${this.apiUrl}/api/protected/photos`, {
+            const response = await fetch(`${this.apiUrl}/api/login/magic/request`, {
+                method: 'POST',
                 headers: {
-                    'Authorization': `Bearer ${this.token}`
-                }
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ email })
             });
 
+            const data = await response.json();
+
             if (response.ok) {
-                const photos = await response.json();
-                this.renderPhotos(photos);
+                this.hideLoginModal();
+                this.showNotification(data.message, 'success');
+            } else {
+                this.showNotification(data.error || 'Could not send a sign-in link', 'error');
             }
         } catch (error) {
-            console.error('Error loading photos:', error);
+            console.error('Magic link error:', error);
+            this.showNotification('Connection error. Please try again.', 'error');
+        } finally {
+            submitBtn.textContent = originalText;
+            submitBtn.disabled = false;
         }
     }
 
-    async loadDocuments() {
+    // Magic links look like https://yourname.com/?magic=TOKEN
+    async checkMagicLink() {
+        const params = new URLSearchParams(window.location.search);
+        const token = params.get('magic');
+        if (!token) return;
+
+        // The token only works once; keep it out of history and bookmarks
+        params.delete('magic');
+        const query = params.toString();
+        window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+
         try {
-            const response = await fetch(`${this.apiUrl}/api/protected/documents`, {
+            const response = await fetch(`${this.apiUrl}/api/login/magic`, {
+                method: 'POST',
                 headers: {
-                    'Authorization': `Bearer ${this.token}`
-                }
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ token })
             });
 
-            if (response.ok) {
-                const documents = await response.json();
-                this.renderDocuments(documents);
+            const data = await response.json();
+
+            if (response.ok && data.mfaRequired) {
+                this.mfaChallenge = data.challenge;
+                this.showLoginModal('mfaForm');
+            } else if (response.ok) {
+                this.completeLogin(data);
+            } else {
+                this.showNotification(data.error || 'Sign-in link failed', 'error');
             }
         } catch (error) {
-            console.error('Error loading documents:', error);
+            console.error('Magic link login error:', error);
+            this.showNotification('Connection error. Please try again.', 'error');
         }
     }
 
-    renderPhotos(photos) {
-        const photoGallery = document.getElementById('photoGallery');
-        
-        if (photos.length === 0) {
-            photoGallery.innerHTML = '<p>No photos available yet.</p>';
-            return;
-        }
+    // Passkeys are discoverable, so the browser picks the account; no email needed
+    async handlePasskeyLogin() {
+        const passkeyBtn = document.getElementById('passkeyLoginBtn');
+        passkeyBtn.disabled = true;
 
-        photoGallery.innerHTML = photos.map(photo => `
-            <div class="photo-item" onclick="app.openPhotoModal('${photo.url}', '${photo.name}')">
-                <img src="${this.apiUrl}${photo.url}" alt="${photo.name}" loading="lazy">
-            </div>
-        `).join('');
-    }
+        try {
+            const optionsResponse = await fetch(`${this.apiUrl}/api/passkeys/login/options`, { method: 'POST' });
+            const options = await optionsResponse.json();
+            if (!optionsResponse.ok) {
+                this.showNotification(options.error || 'Passkey sign-in failed', 'error');
+                return;
+            }
 
-    renderDocuments(documents) {
-        const documentsList = document.getElementById('documentsList');
-        
-        if (documents.length === 0) {
-            documentsList.innerHTML = '<p>No documents available yet.</p>';
-            return;
-        }
+            const credential = await navigator.credentials.get({
+                publicKey: { ...options, challenge: base64UrlToBuffer(options.challenge) }
+            });
 
-        documentsList.innerHTML = documents.map(doc => `
-            <div class="doc-item">
-                <span>${doc.name}</span>
-                <a href="${this.apiUrl}${doc.url}" target="_blank" rel="noopener">Download</a>
-            </div>
-        `).join('');
-    }
-
-    openPhotoModal(url, name) {
-        // Create photo modal
-        const modal = document.createElement('div');
-        modal.className = 'modal';
-        modal.innerHTML = `
-            <div class="modal-content" style="max-width: 90vw; max-height: 90vh;">
-                <span class="close">&times;</span>
-                <img src="${this.apiUrl}${url}" alt="${name}" style="width: 100%; height: auto; max-height: 80vh; object-fit: contain;">
-                <p style="text-align: center; margin-top: 15px; color: #64748b;">${name}</p>
-            </div>
-        `;
+            const response = await fetch(`${this.apiUrl}/api/passkeys/login`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ credential: serializeCredential(credential) })
+            });
 
-        document.body.appendChild(modal);
+            const data = await response.json();
 
-        // Close modal events
-        const closeBtn = modal.querySelector('.close');
-        closeBtn.addEventListener('click', () => {
-            document.body.removeChild(modal);
-        });
+            if (response.ok) {
+                this.completeLogin(data);
+            } else {
+                this.showNotification(data.error || 'Passkey sign-in failed', 'error');
+            }
+        } catch (error) {
+            // Dismissing the browser's passkey prompt isn't an error
+            if (error.name !== 'NotAllowedError') {
+                console.error('Passkey login error:', error);
+                this.showNotification('Passkey sign-in failed. Please try again.', 'error');
+            }
+        } finally {
+            passkeyBtn.disabled = false;
+        }
+    }
 
-        modal.addEventListener('click', (e) => {
-            if (e.target === modal) {
-                document.body.removeChild(modal);
+    async addPasskey() {
+        try {
+            const optionsResponse = await this.authFetch('/api/passkeys/register/options', { method: 'POST' });
+            const options = await optionsResponse.json();
+            if (!optionsResponse.ok) {
+                this.showNotification(options.error || 'Could not add a passkey', 'error');
+                return;
             }
-        });
 
-        // Close on escape key
-        const escapeHandler = (e) => {
-            if (e.key === 'Escape') {
-                document.body.removeChild(modal);
-                document.removeEventListener('keydown', escapeHandler);
+            const credential = await navigator.credentials.create({
+                publicKey: {
+                    ...options,
+                    challenge: base64UrlToBuffer(options.challenge),
+                    user: { ...options.user, id: base64UrlToBuffer(options.user.id) },
+                    excludeCredentials: options.excludeCredentials.map(existing => ({
+                        ...existing,
+                        id: base64UrlToBuffer(existing.id)
+                    }))
+                }
+            });
+
+            const response = await this.authFetch('/api/passkeys/register', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    credential: serializeCredential(credential),
+                    // Name it after the device it was created on
+                    name: navigator.userAgentData?.platform || navigator.platform
+                })
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                this.showNotification('Passkey added. You can use it to sign in next time.', 'success');
+            } else {
+                this.showNotification(data.error || 'Could not add a passkey', 'error');
+            }
+        } catch (error) {
+            if (error.name === 'InvalidStateError') {
+                this.showNotification('This device already has a passkey for your account', 'info');
+            } else if (error.name !== 'NotAllowedError') {
+                console.error('Add passkey error:', error);
+                this.showNotification('Could not add a passkey. Please try again.', 'error');
             }
-        };
-        document.addEventListener('keydown', escapeHandler);
+        }
     }
 
-    showNotification(message, type = 'info') {
-        // Create notification element
-        const notification = document.createElement('div');
-        notification.style.cssText = `
-            position: fixed;
-            top: 20px;
-            right: 20px;
-            padding: 15px 20px;
-            border-radius: 6px;
-            color: white;
-            font-weight: 500;
-            z-index: 3000;
-            transform: translateX(100%);
-            transition: transform 0.3s ease;
-            ${type === 'success' ? 'background: #10b981;' : ''}
-            ${type === 'error' ? 'background: #ef4444;' : ''}
-            ${type === 'info' ? 'background: #3b82f6;' : ''}
-        `;
-        notification.textContent = message;
-
-        document.body.appendChild(notification);
+    completeLogin(session) {
+        this.setSession(session);
+        this.hideLoginModal();
+        this.checkAuthStatus();
+        this.loadProtectedContent();
+        this.showNotification('Welcome back!', 'success');
+    }
 
-        // Animate in
-        setTimeout(() => {
-            notification.style.transform = 'translateX(0)';
-        }, 100);
+    // Reset links look like https://yourname.com/?reset=TOKEN
+    checkResetLink() {
+        const params = new URLSearchParams(window.location.search);
+        this.resetToken = params.get('reset');
+        if (!this.resetToken) return;
 
-        // Remove after 3 seconds
-        setTimeout(() => {
-            notification.style.transform = 'translateX(100%)';
-            setTimeout(() => {
-                if (document.body.contains(notification)) {
-                    document.body.removeChild(notification);
-                }
-            }, 300);
-        }, 3000);
+        this.showLoginModal('resetForm');
     }
-}
 
-// Initialize the app when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    window.app = new ResumeApp();
-});
+    async handlePasswordReset() {
+        const password = document.getElementById('resetPassword').value;
+        const confirmPassword = document.getElementById('resetPasswordConfirm').value;
+        const submitBtn = document.querySelector('#resetForm button[type="submit"]');
 
-// Handle navigation highlighting
-window.addEventListener('scroll', () => {
-    const sections = document.querySelectorAll('section[id]');
-    const navLinks = document.querySelectorAll('.nav-links a[href^="#"]');
-    
-    let current = '';
+        if (password !== confirmPassword) {
+            this.showNotification('Passwords do not match', 'error');
+            return;
+        }
+
+        const originalText = submitBtn.textContent;
+        submitBtn.textContent = 'Saving...';
+        submitBtn.disabled = true;
+
+        try {
+            const response = await fetch(`${this.apiUrl}/api/password/reset`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ token: this.resetToken, password })
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                this.resetToken = null;
+                window.history.replaceState(null, '', window.location.pathname);
+                document.getElementById('resetForm').reset();
+                this.showModalView('loginForm');
+                this.showNotification('Password updated. Please log in.', 'success');
+            } else {
+                this.showNotification(data.error || 'Password reset failed', 'error');
+            }
+        } catch (error) {
+            console.error('Password reset error:', error);
+            this.showNotification('Connection error. Please try again.', 'error');
+        } finally {
+            submitBtn.textContent = originalText;
+            submitBtn.disabled = false;
+        }
+    }
+
+    async handleForgotPassword() {
+        const email = document.getElementById('forgotEmail').value;
+        const submitBtn = document.querySelector('#forgotForm button[type="submit"]');
+
+        const originalText = submitBtn.textContent;
+        submitBtn.textContent = 'Sending...';
+        submitBtn.disabled = true;
+
+        try {
+            const response = await fetch(`${this.apiUrl}/api/password/forgot`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ email })
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                this.hideLoginModal();
+                this.showNotification(data.message, 'success');
+            } else {
+                this.showNotification(data.error || 'Could not send a reset link', 'error');
+            }
+        } catch (error) {
+            console.error('Forgot password error:', error);
+            this.showNotification('Connection error. Please try again.', 'error');
+        } finally {
+            submitBtn.textContent = originalText;
+            submitBtn.disabled = false;
+        }
+    }
+
+    async handleChangePassword() {
+        const currentPassword = document.getElementById('currentPassword').value;
+        const newPassword = document.getElementById('newPassword').value;
+        const confirmPassword = document.getElementById('newPasswordConfirm').value;
+        const submitBtn = document.querySelector('#changePasswordForm button[type="submit"]');
+
+        if (newPassword !== confirmPassword) {
+            this.showNotification('Passwords do not match', 'error');
+            return;
+        }
+
+        const originalText = submitBtn.textContent;
+        submitBtn.textContent = 'Saving...';
+        submitBtn.disabled = true;
+
+        try {
+            const response = await this.authFetch('/api/password/change', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ currentPassword, newPassword })
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                this.hideLoginModal();
+                this.showNotification('Password changed. Other devices have been signed out.', 'success');
+            } else {
+                this.showNotification(data.error || 'Password change failed', 'error');
+            }
+        } catch (error) {
+            console.error('Change password error:', error);
+            this.showNotification('Connection error. Please try again.', 'error');
+        } finally {
+            submitBtn.textContent = originalText;
+            submitBtn.disabled = false;
+        }
+    }
+
+    async handleRegister() {
+        const inviteCode = document.getElementById('inviteCode').value.trim();
+        const displayName = document.getElementById('registerDisplayName').value.trim();
+        const email = document.getElementById('registerEmail').value;
+        const password = document.getElementById('registerPassword').value;
+        const submitBtn = document.querySelector('#registerForm button[type="submit"]');
+
+        const originalText = submitBtn.textContent;
+        submitBtn.textContent = 'Joining...';
+        submitBtn.disabled = true;
+
+        try {
+            const response = await fetch(`${this.apiUrl}/api/register`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ email, password, inviteCode, displayName })
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                // Log straight in with the new credentials
+                document.getElementById('email').value = email;
+                document.getElementById('password').value = password;
+                document.getElementById('registerForm').reset();
+                this.showModalView('loginForm');
+                window.history.replaceState(null, '', window.location.pathname);
+                await this.handleLogin();
+            } else {
+                this.showNotification(data.error || 'Registration failed', 'error');
+            }
+        } catch (error) {
+            console.error('Registration error:', error);
+            this.showNotification('Connection error. Please try again.', 'error');
+        } finally {
+            submitBtn.textContent = originalText;
+            submitBtn.disabled = false;
+        }
+    }
+
+    async logout() {
+        const refreshToken = this.refreshToken;
+        this.clearSession();
+        this.checkAuthStatus();
+
+        // Revoke the session server-side so the tokens stop working everywhere
+        try {
+            await fetch(`${this.apiUrl}/api/logout`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ refreshToken })
+            });
+        } catch (error) {
+            console.error('Logout error:', error);
+        }
+
+        this.showNotification('Logged out successfully', 'success');
+    }
+
+    async loadProtectedContent() {
+        if (!this.token || !this.isTokenValid()) return;
+
+        try {
+            await Promise.all([
+                this.loadAlbums(),
+                this.loadPhotos(),
+                this.loadDocuments()
+            ]);
+        } catch (error) {
+            console.error('Error loading protected content:', error);
+        }
+
+        // Media links in the listings are signed for about an hour
+        clearTimeout(this.mediaRefreshTimer);
+        this.mediaRefreshTimer = setTimeout(() => this.loadProtectedContent(), 30 * 60 * 1000);
+    }
+
+    async loadAlbums() {
+        try {
+            const response = await this.authFetch('/api/protected/albums');
+
+            if (response.ok) {
+                const albums = await response.json();
+                this.renderAlbumNav(albums);
+            }
+        } catch (error) {
+            console.error('Error loading albums:', error);
+        }
+    }
+
+    // Loads the first page of photos, or the next one when append is set
+    async loadPhotos({ append = false } = {}) {
+        if (append && (!this.photoCursor || this.loadingPhotos)) return;
+
+        const requestId = this.photoRequestId = (this.photoRequestId || 0) + 1;
+        const params = new URLSearchParams({ limit: PHOTO_PAGE_SIZE });
+        if (this.currentAlbum) params.set('album', this.currentAlbum);
+        if (append) params.set('cursor', this.photoCursor);
+
+        this.loadingPhotos = true;
+        let rendered = false;
+        try {
+            const response = await this.authFetch(`/api/protected/photos?${params}`);
+
+            // Ignore pages for an album the friend has already left
+            if (response.ok && requestId === this.photoRequestId) {
+                const { photos, nextCursor } = await response.json();
+                this.photoCursor = nextCursor;
+                this.renderPhotos(photos, append);
+                this.watchGalleryEnd();
+                rendered = true;
+            }
+        } catch (error) {
+            console.error('Error loading photos:', error);
+        } finally {
+            if (requestId === this.photoRequestId) {
+                this.loadingPhotos = false;
+            }
+        }
+
+        // Photo links open once the first page is in
+        if (rendered && !append) {
+            this.openPhotoFromHash();
+        }
+    }
+
+    // Fetch the next page whenever the end of the gallery scrolls into view
+    watchGalleryEnd() {
+        const sentinel = document.getElementById('photoGalleryEnd');
+        if (!sentinel || !('IntersectionObserver' in window)) return;
+
+        if (!this.galleryObserver) {
+            this.galleryObserver = new IntersectionObserver((entries) => {
+                if (entries.some(entry => entry.isIntersecting)) {
+                    this.loadPhotos({ append: true });
+                }
+            }, { rootMargin: '400px' });
+        }
+
+        // Re-observing reports the current state, so a short page that leaves
+        // the sentinel on screen still triggers the next load
+        this.galleryObserver.unobserve(sentinel);
+        if (this.photoCursor) {
+            this.galleryObserver.observe(sentinel);
+        }
+    }
+
+    selectAlbum(album) {
+        this.currentAlbum = album;
+        this.photoCursor = null;
+        document.querySelectorAll('#albumNav .album-tab').forEach(tab => {
+            tab.classList.toggle('active', (tab.dataset.album || null) === album);
+        });
+        this.loadPhotos();
+    }
+
+    renderAlbumNav(albums) {
+        const albumNav = document.getElementById('albumNav');
+        if (!albumNav) return;
+
+        albumNav.replaceChildren();
+        albumNav.classList.toggle('hidden', albums.length === 0);
+        if (albums.length === 0) return;
+
+        const tabs = [{ name: null, label: 'All photos' }].concat(
+            albums.map(album => ({ name: album.name, label: `${album.name} (${album.count})` }))
+        );
+
+        tabs.forEach(({ name, label }) => {
+            const tab = document.createElement('button');
+            tab.type = 'button';
+            tab.className = 'album-tab';
+            tab.textContent = label;
+            if (name) tab.dataset.album = name;
+            tab.classList.toggle('active', name === (this.currentAlbum || null));
+            tab.addEventListener('click', () => this.selectAlbum(name));
+            albumNav.appendChild(tab);
+        });
+    }
+
+    // Caption shown for a photo, falling back to its file name
+    photoCaption(photo) {
+        return photo.caption || photo.name.split('/').pop();
+    }
+
+    async loadDocuments() {
+        const documents = [];
+        let cursor = null;
+
+        try {
+            do {
+                const params = new URLSearchParams({ limit: 100 });
+                if (cursor) params.set('cursor', cursor);
+
+                const response = await this.authFetch(`/api/protected/documents?${params}`);
+                if (!response.ok) break;
+
+                const page = await response.json();
+                documents.push(...page.documents);
+                cursor = page.nextCursor;
+            } while (cursor);
+
+            this.renderDocuments(documents);
+        } catch (error) {
+            console.error('Error loading documents:', error);
+        }
+    }
+
+    renderPhotos(photos, append = false) {
+        const photoGallery = document.getElementById('photoGallery');
+        const offset = append ? this.photos.length : 0;
+        this.photos = append ? this.photos.concat(photos) : photos;
+        this.photosLoaded = true;
+        
+        if (this.photos.length === 0) {
+            photoGallery.replaceChildren(buildElement('p', {}, 'No photos available yet.'));
+            return;
+        }
+
+        // Tiles only load resized variants; the original is fetched in the modal
+        const tiles = photos.map((photo, i) => {
+            const variants = photo.variants || {};
+            const image = buildElement('img', {
+                src: `${this.apiUrl}${variants.thumb || photo.url}`,
+                alt: this.photoCaption(photo),
+                loading: 'lazy'
+            });
+            if (variants.thumb && variants.medium) {
+                image.srcset = `${this.apiUrl}${variants.thumb} 320w, ${this.apiUrl}${variants.medium} 1280w`;
+                image.sizes = '(max-width: 768px) 100vw, 400px';
+            }
+
+            return buildElement('div', { className: 'photo-item', dataset: { index: offset + i } },
+                image,
+                photo.caption && buildElement('p', { className: 'photo-caption' }, photo.caption)
+            );
+        });
+
+        if (append) {
+            photoGallery.append(...tiles);
+        } else {
+            photoGallery.replaceChildren(...tiles);
+        }
+
+        if (this.lightbox.isOpen) {
+            this.lightbox.setItems(this.lightboxItems());
+        }
+    }
+
+    lightboxItems() {
+        return this.photos.map(photo => ({
+            src: `${this.apiUrl}${photo.url}`,
+            caption: this.photoCaption(photo)
+        }));
+    }
+
+    openPhotoAt(index) {
+        this.lightbox.open(this.lightboxItems(), index);
+    }
+
+    // Keeps the address shareable and fetches the next page before the end
+    photoShown(index) {
+        this.setPhotoHash(this.photos[index].name);
+        if (index >= this.photos.length - 2) {
+            this.loadPhotos({ append: true });
+        }
+    }
+
+    // Photo links look like https://yourname.com/#photo=photos%2Ftrip%2Fbeach.jpg
+    setPhotoHash(key) {
+        const url = key
+            ? `#photo=${encodeURIComponent(key)}`
+            : `${window.location.pathname}${window.location.search}`;
+        window.history.replaceState(null, '', url);
+    }
+
+    photoKeyFromHash() {
+        const match = window.location.hash.match(/^#photo=(.+)$/);
+        try {
+            return match ? decodeURIComponent(match[1]) : null;
+        } catch {
+            return null;
+        }
+    }
+
+    // Opens the photo named in the URL, paging through the gallery to find it.
+    // Before the first page is in, loadPhotos() calls this again once it is.
+    async openPhotoFromHash() {
+        const key = this.photoKeyFromHash();
+        if (!key || !this.photosLoaded || this.lightbox.isOpen) return;
+
+        let index = this.photos.findIndex(photo => photo.name === key);
+        while (index === -1 && this.photoCursor) {
+            const cursor = this.photoCursor;
+            await this.loadPhotos({ append: true });
+            if (this.photoCursor === cursor) break;
+            index = this.photos.findIndex(photo => photo.name === key);
+        }
+
+        if (index === -1) {
+            this.setPhotoHash(null);
+            this.showNotification('That photo is not available', 'error');
+            return;
+        }
+        this.openPhotoAt(index);
+    }
+
+    renderDocuments(documents) {
+        const documentsList = document.getElementById('documentsList');
+        this.documents = documents;
+        
+        if (documents.length === 0) {
+            documentsList.replaceChildren(buildElement('p', {}, 'No documents available yet.'));
+            return;
+        }
+
+        documentsList.replaceChildren(...documents.map((doc, index) => buildElement('div', { className: 'doc-item' },
+            buildElement('span', {}, doc.name),
+            buildElement('span', { className: 'doc-actions' },
+                previewKind(doc.name) && buildElement('button', {
+                    type: 'button',
+                    className: 'doc-preview',
+                    dataset: { index }
+                }, 'Preview'),
+                buildElement('a', { href: `${this.apiUrl}${doc.url}`, download: doc.name }, 'Download')
+            )
+        )));
+    }
+
+    previewDocument(doc) {
+        const downloadUrl = `${this.apiUrl}${doc.url}`;
+        const inlineUrl = new URL(downloadUrl);
+        inlineUrl.searchParams.set('inline', '1');
+
+        this.documentViewer.open({
+            name: doc.name,
+            kind: previewKind(doc.name),
+            url: inlineUrl.toString(),
+            downloadUrl
+        });
+    }
+
+    // The public sections come from resume.json (JSON Resume schema, checked
+    // by `npm run resume:validate`); the worker serves the same file at /api/resume
+    async loadResume() {
+        try {
+            const response = await fetch('resume.json');
+            if (!response.ok) {
+                throw new Error(`resume.json request failed with ${response.status}`);
+            }
+            this.renderResume(await response.json());
+        } catch (error) {
+            console.error('Error loading resume:', error);
+            document.getElementById('workTimeline').replaceChildren(buildElement('p', {},
+                'The resume could not be loaded. ',
+                buildElement('a', { href: '/resume.pdf', target: '_blank', rel: 'noopener' }, 'Download the PDF'),
+                ' instead.'
+            ));
+        }
+    }
+
+    renderResume(resume) {
+        const basics = resume.basics || {};
+        ['name', 'label', 'summary'].forEach(field => {
+            if (!basics[field]) return;
+            document.querySelectorAll(`[data-resume="${field}"]`).forEach(element => {
+                element.textContent = basics[field];
+            });
+        });
+        if (basics.name) {
+            document.title = `${basics.name} - Resume`;
+        }
+
+        this.renderSkills(resume.skills || []);
+        this.renderWork(resume.work || []);
+        this.renderProjects(resume.projects || []);
+        this.renderProfiles(basics);
+        this.renderCertificates(resume.certificates || []);
+    }
+
+    renderSkills(skills) {
+        document.getElementById('skillsGrid').replaceChildren(...skills.map(skill => buildElement('div', { className: 'skill-category' },
+            buildElement('h4', {}, skill.name),
+            buildElement('div', { className: 'skill-tags' },
+                ...(skill.keywords || []).map(keyword => buildElement('span', { className: 'skill-tag' }, keyword))
+            )
+        )));
+    }
+
+    renderWork(work) {
+        document.getElementById('workTimeline').replaceChildren(...work.map(job => {
+            const period = `${formatResumeDate(job.startDate)} - ${job.endDate ? formatResumeDate(job.endDate) : 'Present'}`;
+            const highlights = job.highlights || [];
+
+            return buildElement('div', { className: 'timeline-item' },
+                buildElement('h3', {}, job.position),
+                buildElement('p', { className: 'company' }, `${[job.name, job.location].filter(Boolean).join(', ')} • ${period}`),
+                job.summary && buildElement('p', {}, job.summary),
+                highlights.length > 0 && buildElement('ul', { className: 'timeline-highlights' },
+                    ...highlights.map(highlight => buildElement('li', {}, highlight))
+                )
+            );
+        }));
+    }
+
+    renderProjects(projects) {
+        document.getElementById('projectsGrid').replaceChildren(...projects.map(project => {
+            const url = safeLink(project.url);
+
+            return buildElement('div', { className: 'project-card' },
+                buildElement('h3', {}, project.name),
+                project.description && buildElement('p', {}, project.description),
+                url && buildElement('div', { className: 'project-links' },
+                    buildElement('a', { href: url, className: 'btn small secondary', target: '_blank', rel: 'noopener' }, 'View Project')
+                )
+            );
+        }));
+    }
+
+    renderProfiles(basics) {
+        const links = (basics.profiles || []).map(profile => {
+            const network = (profile.network || '').toLowerCase().replace(/[^a-z0-9-]/g, '');
+            return {
+                type: network,
+                href: safeLink(profile.url),
+                title: profile.label || profile.network,
+                description: profile.description,
+                text: (profile.url || '').replace(/^https?:\/\/(www\.)?/, '')
+            };
+        });
+        if (basics.email) {
+            links.push({
+                type: 'email',
+                href: `mailto:${basics.email}`,
+                title: 'Email',
+                description: 'Direct professional contact',
+                text: basics.email
+            });
+        }
+
+        document.getElementById('profileLinks').replaceChildren(...links.filter(link => link.href).map(link => {
+            const external = !link.href.startsWith('mailto:');
+            return buildElement('a', {
+                href: link.href,
+                className: `profile-link ${link.type}`,
+                ...(external && { target: '_blank', rel: 'noopener' })
+            },
+                buildElement('div', { className: 'link-icon' }, buildIcon(RESUME_ICONS[link.type] || RESUME_ICONS.link)),
+                buildElement('div', { className: 'link-content' },
+                    buildElement('h4', {}, link.title),
+                    link.description && buildElement('p', {}, link.description),
+                    buildElement('span', { className: 'link-url' }, link.text)
+                ),
+                buildElement('div', { className: 'link-arrow' }, buildIcon(RESUME_ICONS.arrow))
+            );
+        }));
+    }
+
+    // States are worked out from the dates on every render, so nobody has to
+    // move a certificate to the expired list by hand
+    renderCertificates(certificates) {
+        const now = new Date();
+        const entries = certificates.map(cert => ({ cert, state: certificateState(cert, now) }));
+        const current = entries.filter(entry => entry.state !== 'expired');
+        const expired = entries.filter(entry => entry.state === 'expired');
+
+        document.getElementById('certCategories').replaceChildren(...this.certCategories(current, now));
+        document.getElementById('expiredCerts').replaceChildren(...this.certCategories(expired, now));
+        document.querySelectorAll('[data-resume="certificateCount"]').forEach(element => {
+            element.textContent = String(current.length);
+        });
+
+        const expiredShown = !document.getElementById('expiredCerts').classList.contains('hidden');
+        document.querySelector('.expired-toggle').classList.toggle('hidden', expired.length === 0);
+        document.querySelector('#toggleExpired .toggle-text').textContent = expiredToggleText(expiredShown ? 'Hide' : 'Show');
+    }
+
+    // One block per issuer, in the order issuers first appear
+    certCategories(entries, now) {
+        const groups = new Map();
+        entries.forEach(entry => {
+            if (!groups.has(entry.cert.issuer)) groups.set(entry.cert.issuer, []);
+            groups.get(entry.cert.issuer).push(entry);
+        });
+
+        return [...groups].map(([issuer, group]) => {
+            const meta = CERT_ISSUERS[issuer] || { title: issuer || 'Other', icon: '📜', logo: 'award' };
+            const expired = group[0].state === 'expired';
+            return buildElement('div', { className: 'cert-category' },
+                buildElement('h4', { className: 'cert-category-title' },
+                    buildElement('span', { className: `category-icon ${meta.logo}-icon` }, meta.icon),
+                    expired ? `${meta.title} (Expired)` : meta.title
+                ),
+                buildElement('div', { className: 'certs-grid' }, ...group.map(entry => this.certCard(entry, meta, now)))
+            );
+        });
+    }
+
+    certCard({ cert, state }, meta, now) {
+        const url = safeLink(cert.url);
+        const expired = state === 'expired';
+        let badge = null;
+        if (state === 'expiring-soon') {
+            const days = Math.ceil((resumeDateEnd(cert.endDate) - now) / DAY_MS);
+            badge = buildElement('span', { className: 'cert-badge expiring-soon' },
+                days === 1 ? 'Expires in 1 day' : `Expires in ${days} days`);
+        }
+
+        let dates = null;
+        if (expired) {
+            dates = `Expired: ${formatResumeDate(cert.endDate)}${cert.retired ? ' (Retired)' : ''}`;
+        } else if (cert.date && cert.endDate) {
+            dates = `Valid: ${formatResumeDate(cert.date)} - ${formatResumeDate(cert.endDate)}`;
+        } else if (cert.date) {
+            dates = `Issued: ${formatResumeDate(cert.date)}`;
+        } else if (cert.endDate) {
+            dates = `Valid until: ${formatResumeDate(cert.endDate)}`;
+        }
+
+        return buildElement('div', { className: state === 'active' ? 'cert-card' : `cert-card ${state}` },
+            buildElement('div', { className: 'cert-header' },
+                buildElement('div', { className: `cert-logo ${meta.logo}` }, buildIcon(RESUME_ICONS[meta.logo])),
+                buildElement('div', { className: 'cert-info' },
+                    buildElement('h4', {}, cert.name),
+                    cert.issuer && buildElement('p', { className: 'cert-issuer' }, cert.issuer),
+                    badge
+                )
+            ),
+            cert.credentialId && buildElement('p', { className: 'cert-id' }, `Credential ID: ${cert.credentialId}`),
+            buildElement('div', { className: 'cert-details' },
+                dates && buildElement('p', { className: expired ? 'cert-date expired-date' : 'cert-date' }, dates),
+                url && buildElement('a', {
+                    href: url,
+                    className: expired ? 'cert-verify expired' : 'cert-verify',
+                    target: '_blank',
+                    rel: 'noopener'
+                }, 'Verify Credential')
+            )
+        );
+    }
+
+    showNotification(message, type = 'info') {
+        // Create notification element
+        const notification = document.createElement('div');
+        notification.style.cssText = `
+            position: fixed;
+            top: 20px;
+            right: 20px;
+            padding: 15px 20px;
+            border-radius: 6px;
+            color: white;
+            font-weight: 500;
+            z-index: 3000;
+            transform: translateX(100%);
+            transition: transform 0.3s ease;
+            ${type === 'success' ? 'background: #10b981;' : ''}
+            ${type === 'error' ? 'background: #ef4444;' : ''}
+            ${type === 'info' ? 'background: #3b82f6;' : ''}
+        `;
+        notification.textContent = message;
+
+        document.body.appendChild(notification);
+
+        // Animate in
+        setTimeout(() => {
+            notification.style.transform = 'translateX(0)';
+        }, 100);
+
+        // Remove after 3 seconds
+        setTimeout(() => {
+            notification.style.transform = 'translateX(100%)';
+            setTimeout(() => {
+                if (document.body.contains(notification)) {
+                    document.body.removeChild(notification);
+                }
+            }, 300);
+        }, 3000);
+    }
+}
+
+// Photo lightbox: one overlay reused for every photo. Previous/next buttons,
+// arrow keys and swipes navigate; the wheel, pinch and double-tap zoom, and a
+// drag pans a zoomed photo. Items are { src, caption }; onChange(index) and
+// onClose() report back to the page.
+class Lightbox {
+    constructor({ onChange = () => {}, onClose = () => {} } = {}) {
+        this.items = [];
+        this.index = 0;
+        this.onChange = onChange;
+        this.onClose = onClose;
+        this.pointers = new Map();
+        this.gesture = null;
+        this.lastTap = 0;
+        this.build();
+        this.zoomTo(1);
+    }
+
+    build() {
+        this.image = buildElement('img', { className: 'lightbox-image', alt: '', draggable: false });
+        this.caption = buildElement('figcaption', { className: 'lightbox-caption' });
+        this.stage = buildElement('div', { className: 'lightbox-stage' }, this.image);
+        this.closeBtn = this.button('lightbox-close', 'Close', '\u00d7', () => this.close());
+        this.prevBtn = this.button('lightbox-prev', 'Previous photo', '\u2039', () => this.previous());
+        this.nextBtn = this.button('lightbox-next', 'Next photo', '\u203a', () => this.next());
+
+        this.element = buildElement('div', { className: 'lightbox hidden', tabIndex: -1 },
+            this.closeBtn,
+            this.prevBtn,
+            buildElement('figure', { className: 'lightbox-figure' }, this.stage, this.caption),
+            this.nextBtn
+        );
+        this.element.setAttribute('role', 'dialog');
+        this.element.setAttribute('aria-modal', 'true');
+        this.element.setAttribute('aria-label', 'Photo viewer');
+
+        // Clicking anywhere but the photo, its caption or a button closes it
+        this.element.addEventListener('click', (e) => {
+            if (this.suppressClick) {
+                this.suppressClick = false;
+                return;
+            }
+            if (!e.target.closest('button, .lightbox-image, .lightbox-caption')) {
+                this.close();
+            }
+        });
+        this.element.addEventListener('keydown', (e) => this.handleKey(e));
+
+        this.stage.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.zoomTo(this.scale * Math.exp(-e.deltaY * 0.002));
+        }, { passive: false });
+        this.stage.addEventListener('pointerdown', (e) => this.pointerDown(e));
+        this.stage.addEventListener('pointermove', (e) => this.pointerMove(e));
+        ['pointerup', 'pointercancel'].forEach(type => {
+            this.stage.addEventListener(type, (e) => this.pointerUp(e));
+        });
+
+        document.body.appendChild(this.element);
+    }
+
+    button(className, label, text, onClick) {
+        const button = buildElement('button', { type: 'button', className }, text);
+        button.setAttribute('aria-label', label);
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    get isOpen() {
+        return !this.element.classList.contains('hidden');
+    }
+
+    open(items, index) {
+        this.items = items;
+        this.returnFocus = document.activeElement;
+        this.element.classList.remove('hidden');
+        document.body.classList.add('lightbox-open');
+        this.show(index);
+        this.closeBtn.focus();
+    }
+
+    // The list can grow while open, e.g. when the next gallery page loads
+    setItems(items) {
+        this.items = items;
+        this.updateControls();
+    }
+
+    show(index) {
+        const item = this.items[index];
+        if (!item) return;
+
+        this.index = index;
+        this.zoomTo(1);
+        this.image.src = item.src;
+        this.image.alt = item.caption;
+        this.caption.textContent = item.caption;
+        this.updateControls();
+
+        // Neighbours load in the background so next/previous feel instant
+        [index - 1, index + 1].forEach(neighbour => {
+            if (this.items[neighbour]) {
+                new Image().src = this.items[neighbour].src;
+            }
+        });
+        this.onChange(index);
+    }
+
+    next() {
+        this.show(this.index + 1);
+    }
+
+    previous() {
+        this.show(this.index - 1);
+    }
+
+    close() {
+        if (!this.isOpen) return;
+
+        this.element.classList.add('hidden');
+        document.body.classList.remove('lightbox-open');
+        this.image.removeAttribute('src');
+        this.pointers.clear();
+        if (this.returnFocus && this.returnFocus.focus) {
+            this.returnFocus.focus();
+        }
+        this.onClose();
+    }
+
+    updateControls() {
+        this.prevBtn.disabled = this.index === 0;
+        this.nextBtn.disabled = this.index >= this.items.length - 1;
+
+        // A button disabled under the focus would drop it out of the dialog
+        if (document.activeElement && document.activeElement.disabled) {
+            this.element.focus();
+        }
+    }
+
+    zoomTo(scale) {
+        this.scale = Math.min(LIGHTBOX_MAX_ZOOM, Math.max(1, scale));
+        if (this.scale === 1) {
+            this.panX = 0;
+            this.panY = 0;
+        }
+        this.image.style.transform = `translate(${this.panX}px, ${this.panY}px) scale(${this.scale})`;
+        this.stage.classList.toggle('zoomed', this.scale > 1);
+    }
+
+    handleKey(e) {
+        switch (e.key) {
+            case 'Escape':
+                this.close();
+                break;
+            case 'ArrowLeft':
+                this.previous();
+                break;
+            case 'ArrowRight':
+                this.next();
+                break;
+            case '+':
+            case '=':
+                this.zoomTo(this.scale * 1.5);
+                break;
+            case '-':
+                this.zoomTo(this.scale / 1.5);
+                break;
+            case 'Tab':
+                this.trapFocus(e);
+                return;
+            default:
+                return;
+        }
+        e.preventDefault();
+    }
+
+    // Keeps Tab cycling through the lightbox's own buttons
+    trapFocus(e) {
+        const focusable = [this.closeBtn, this.prevBtn, this.nextBtn].filter(button => !button.disabled);
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = document.activeElement;
+
+        if (e.shiftKey && (active === first || active === this.element)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && active === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    pointerDistance() {
+        const [a, b] = [...this.pointers.values()];
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    // One pointer pans (zoomed in) or swipes (not zoomed); two pinch
+    pointerDown(e) {
+        this.stage.setPointerCapture(e.pointerId);
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        if (this.pointers.size === 1) {
+            this.gesture = { startX: e.clientX, startY: e.clientY, panX: this.panX, panY: this.panY, moved: false };
+        } else if (this.pointers.size === 2) {
+            Object.assign(this.gesture, { pinched: true, pinchDistance: this.pointerDistance(), pinchScale: this.scale });
+        }
+    }
+
+    pointerMove(e) {
+        if (!this.pointers.has(e.pointerId)) return;
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        const gesture = this.gesture;
+
+        if (this.pointers.size === 2) {
+            gesture.moved = true;
+            this.zoomTo(gesture.pinchScale * this.pointerDistance() / gesture.pinchDistance);
+            return;
+        }
+
+        const dx = e.clientX - gesture.startX;
+        const dy = e.clientY - gesture.startY;
+        if (Math.hypot(dx, dy) > 5) {
+            gesture.moved = true;
+        }
+        if (this.scale > 1) {
+            this.panX = gesture.panX + dx;
+            this.panY = gesture.panY + dy;
+            this.zoomTo(this.scale);
+        }
+    }
+
+    pointerUp(e) {
+        if (!this.pointers.delete(e.pointerId)) return;
+        const gesture = this.gesture;
+
+        // Lifting one finger of a pinch carries on as a pan with the other
+        if (this.pointers.size === 1) {
+            const [remaining] = this.pointers.values();
+            this.gesture = { startX: remaining.x, startY: remaining.y, panX: this.panX, panY: this.panY, moved: true, pinched: true };
+            return;
+        }
+        if (this.pointers.size > 0 || !gesture) return;
+
+        this.gesture = null;
+        this.suppressClick = gesture.moved;
+        if (gesture.pinched) return;
+
+        const dx = e.clientX - gesture.startX;
+        const dy = e.clientY - gesture.startY;
+        if (this.scale === 1 && Math.abs(dx) > LIGHTBOX_SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy)) {
+            if (dx < 0) {
+                this.next();
+            } else {
+                this.previous();
+            }
+        } else if (!gesture.moved) {
+            // Double tap (or double click) toggles zoom
+            const now = Date.now();
+            if (now - this.lastTap < 300) {
+                this.zoomTo(this.scale > 1 ? 1 : 2);
+                this.lastTap = 0;
+            } else {
+                this.lastTap = now;
+            }
+        }
+    }
+}
+
+// Document viewer: an overlay that previews PDFs, text and markdown (as
+// source) and images, with an explicit download link. PDFs open in the
+// browser's built-in viewer, which pages and zooms them itself, so no PDF
+// script runs on this origin; text and images get the viewer's own zoom.
+// Documents are { name, kind, url, downloadUrl }, kind being one of the
+// PREVIEW_KINDS values and url the ?inline=1 address.
+class DocumentViewer {
+    constructor() {
+        this.doc = null;
+        this.loadId = 0;
+        this.build();
+    }
+
+    build() {
+        this.title = buildElement('h3', { className: 'doc-viewer-title' });
+        this.zoomOutBtn = this.button('Zoom out', '\u2212', () => this.zoomTo(this.zoom / 1.25));
+        this.zoomResetBtn = this.button('Reset zoom', '100%', () => this.zoomTo(1));
+        this.zoomInBtn = this.button('Zoom in', '+', () => this.zoomTo(this.zoom * 1.25));
+        this.zoomControls = buildElement('span', { className: 'doc-viewer-group' }, this.zoomOutBtn, this.zoomResetBtn, this.zoomInBtn);
+        this.downloadLink = buildElement('a', { className: 'doc-viewer-download' }, 'Download');
+        this.closeBtn = this.button('Close', '\u00d7', () => this.close());
+        this.closeBtn.classList.add('doc-viewer-close');
+        this.content = buildElement('div', { className: 'doc-viewer-content' });
+        this.body = buildElement('div', { className: 'doc-viewer-body', tabIndex: 0 }, this.content);
+
+        this.panel = buildElement('div', { className: 'doc-viewer-panel' },
+            buildElement('div', { className: 'doc-viewer-toolbar' },
+                this.title,
+                this.zoomControls,
+                this.downloadLink,
+                this.closeBtn
+            ),
+            this.body
+        );
+        this.element = buildElement('div', { className: 'doc-viewer hidden', tabIndex: -1 }, this.panel);
+        this.element.setAttribute('role', 'dialog');
+        this.element.setAttribute('aria-modal', 'true');
+        this.element.setAttribute('aria-label', 'Document viewer');
+
+        this.element.addEventListener('click', (e) => {
+            if (!this.panel.contains(e.target)) {
+                this.close();
+            }
+        });
+        this.element.addEventListener('keydown', (e) => this.handleKey(e));
+
+        document.body.appendChild(this.element);
+    }
+
+    button(label, text, onClick) {
+        const button = buildElement('button', { type: 'button', className: 'doc-viewer-button' }, text);
+        button.setAttribute('aria-label', label);
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    get isOpen() {
+        return !this.element.classList.contains('hidden');
+    }
+
+    async open(doc) {
+        this.close();
+        this.doc = doc;
+        this.zoom = 1;
+        const loadId = ++this.loadId;
+
+        this.title.textContent = doc.name;
+        this.downloadLink.href = doc.downloadUrl;
+        this.downloadLink.download = doc.name;
+        this.zoomControls.classList.toggle('hidden', doc.kind === 'pdf');
+        this.updateControls();
+        this.content.replaceChildren(buildElement('p', { className: 'doc-viewer-message' }, 'Loading\u2026'));
+
+        this.returnFocus = document.activeElement;
+        this.element.classList.remove('hidden');
+        document.body.classList.add('lightbox-open');
+        this.closeBtn.focus();
+
+        try {
+            await this.load(doc, loadId);
+        } catch (error) {
+            if (loadId !== this.loadId) return;
+            console.error('Error previewing document:', error);
+            this.content.replaceChildren(buildElement('p', { className: 'doc-viewer-message' },
+                'This document could not be previewed. Use Download to open it instead.'));
+        }
+    }
+
+    async load(doc, loadId) {
+        switch (doc.kind) {
+            case 'image': {
+                const image = buildElement('img', { className: 'doc-viewer-image', alt: doc.name });
+                await new Promise((resolve, reject) => {
+                    image.onload = resolve;
+                    image.onerror = () => reject(new Error('Image failed to load'));
+                    image.src = doc.url;
+                });
+                if (loadId !== this.loadId) return;
+                this.content.replaceChildren(image);
+                this.applyZoom();
+                break;
+            }
+
+            case 'text': {
+                const response = await fetch(doc.url);
+                if (!response.ok) {
+                    throw new Error(`Document request failed with ${response.status}`);
+                }
+                const text = await response.text();
+                if (loadId !== this.loadId) return;
+                this.content.replaceChildren(buildElement('pre', { className: 'doc-viewer-text' }, text));
+                this.applyZoom();
+                break;
+            }
+
+            case 'pdf':
+                this.content.replaceChildren(buildElement('iframe', { className: 'doc-viewer-frame', src: doc.url, title: doc.name }));
+                break;
+
+            default:
+                throw new Error(`Cannot preview ${doc.kind} documents`);
+        }
+    }
+
+    zoomTo(zoom) {
+        this.zoom = Math.min(VIEWER_MAX_ZOOM, Math.max(VIEWER_MIN_ZOOM, zoom));
+        this.updateControls();
+        this.applyZoom();
+    }
+
+    applyZoom() {
+        if (!this.doc) return;
+
+        switch (this.doc.kind) {
+            case 'text': {
+                const text = this.content.querySelector('.doc-viewer-text');
+                if (text) text.style.fontSize = `${this.zoom}em`;
+                break;
+            }
+
+            case 'image': {
+                const image = this.content.querySelector('.doc-viewer-image');
+                if (!image) break;
+                const fitWidth = Math.min(image.naturalWidth, this.body.clientWidth - 32);
+                image.style.width = this.zoom === 1 ? '' : `${Math.round(fitWidth * this.zoom)}px`;
+                image.style.maxWidth = this.zoom === 1 ? '' : 'none';
+                break;
+            }
+        }
+    }
+
+    updateControls() {
+        this.zoomOutBtn.disabled = this.zoom <= VIEWER_MIN_ZOOM;
+        this.zoomInBtn.disabled = this.zoom >= VIEWER_MAX_ZOOM;
+        this.zoomResetBtn.textContent = `${Math.round(this.zoom * 100)}%`;
+
+        if (document.activeElement && document.activeElement.disabled) {
+            this.element.focus();
+        }
+    }
+
+    close() {
+        this.loadId++;
+        if (!this.isOpen) return;
+
+        this.element.classList.add('hidden');
+        document.body.classList.remove('lightbox-open');
+        this.content.replaceChildren();
+        this.doc = null;
+        if (this.returnFocus && this.returnFocus.focus) {
+            this.returnFocus.focus();
+        }
+    }
+
+    handleKey(e) {
+        switch (e.key) {
+            case 'Escape':
+                this.close();
+                break;
+            case '+':
+            case '=':
+                if (this.doc.kind === 'pdf') return;
+                this.zoomTo(this.zoom * 1.25);
+                break;
+            case '-':
+                if (this.doc.kind === 'pdf') return;
+                this.zoomTo(this.zoom / 1.25);
+                break;
+            case 'Tab':
+                this.trapFocus(e);
+                return;
+            default:
+                return;
+        }
+        e.preventDefault();
+    }
+
+    // Keeps Tab cycling through the viewer's controls and scrollable body
+    trapFocus(e) {
+        const focusable = [...this.panel.querySelectorAll('button, a[href], [tabindex="0"], iframe')]
+            .filter(element => !element.disabled && !element.closest('.hidden'));
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = document.activeElement;
+
+        if (e.shiftKey && (active === first || active === this.element)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && active === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+}
+
+// Viewer kind for a document name, or undefined when it can only be downloaded
+function previewKind(name) {
+    const extension = name.split('.').pop().toLowerCase();
+    return Object.prototype.hasOwnProperty.call(PREVIEW_KINDS, extension) ? PREVIEW_KINDS[extension] : undefined;
+}
+
+// Builds an element from DOM properties and children. Strings become text
+// nodes, so file names and captions are never parsed as HTML.
+function buildElement(tag, properties = {}, ...children) {
+    const { dataset = {}, ...rest } = properties;
+    const element = Object.assign(document.createElement(tag), rest);
+    Object.assign(element.dataset, dataset);
+    element.append(...children.filter(child => child !== null && child !== undefined && child !== false && child !== ''));
+    return element;
+}
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Builds an inline SVG from one of the RESUME_ICONS entries
+function buildIcon({ attributes, shapes }) {
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    Object.entries(attributes).forEach(([name, value]) => svg.setAttribute(name, value));
+    shapes.forEach(([tag, shapeAttributes]) => {
+        const shape = document.createElementNS(SVG_NS, tag);
+        Object.entries(shapeAttributes).forEach(([name, value]) => shape.setAttribute(name, value));
+        svg.appendChild(shape);
+    });
+    return svg;
+}
+
+// Only web and mail links from resume.json become hrefs
+function safeLink(url) {
+    return typeof url === 'string' && /^(https?:|mailto:)/i.test(url) ? url : null;
+}
+
+// JSON Resume dates are YYYY, YYYY-MM or YYYY-MM-DD; shown as "2023" or
+// "September 2023"
+function formatResumeDate(value) {
+    const [year, month] = String(value).split('-').map(Number);
+    if (!month) return String(year);
+    return new Date(Date.UTC(year, month - 1)).toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+}
+
+// The last moment a JSON Resume date covers: the end of its day, month or year
+function resumeDateEnd(value) {
+    const [year, month, day] = String(value).split('-').map(Number);
+    if (day) return new Date(Date.UTC(year, month - 1, day + 1) - 1);
+    if (month) return new Date(Date.UTC(year, month) - 1);
+    return new Date(Date.UTC(year + 1, 0) - 1);
+}
+
+// 'expired' once a certificate's endDate has passed, 'expiring-soon' within
+// CERT_EXPIRING_SOON_DAYS of it, and 'active' otherwise or without one
+function certificateState(cert, now = new Date()) {
+    if (!cert.endDate) return 'active';
+
+    const remaining = resumeDateEnd(cert.endDate) - now;
+    if (remaining < 0) return 'expired';
+    return remaining <= CERT_EXPIRING_SOON_DAYS * DAY_MS ? 'expiring-soon' : 'active';
+}
+
+// The toggle's label counts what renderCertificates put in the expired list
+function expiredToggleText(action) {
+    const count = document.querySelectorAll('#expiredCerts .cert-card').length;
+    return `${action} Expired Certifications (${count})`;
+}
+
+// WebAuthn hands out ArrayBuffers; the API speaks base64url
+function base64UrlToBuffer(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, c => c.charCodeAt(0)).buffer;
+}
+
+function bufferToBase64Url(buffer) {
+    return btoa(String.fromCharCode(...new Uint8Array(buffer)))
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
+
+// PublicKeyCredential -> the JSON the worker expects
+function serializeCredential(credential) {
+    const response = {};
+    ['clientDataJSON', 'attestationObject', 'authenticatorData', 'signature', 'userHandle'].forEach(field => {
+        if (credential.response[field]) {
+            response[field] = bufferToBase64Url(credential.response[field]);
+        }
+    });
+    return { id: credential.id, type: credential.type, response };
+}
+
+// Initialize the app when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.app = new ResumeApp();
+});
+
+// Handle navigation highlighting
+window.addEventListener('scroll', () => {
+    const sections = document.querySelectorAll('section[id]');
+    const navLinks = document.querySelectorAll('.nav-links a[href^="#"]');
+    
+    let current = '';
     sections.forEach(section => {
         const sectionTop = section.offsetTop - 100;
         if (window.pageYOffset >= sectionTop) {
@@ -354,8 +1968,12 @@ function refreshFact() {
     }, 200);
 }
 
-// Make refreshFact available globally
-window.refreshFact = refreshFact;
+document.addEventListener('DOMContentLoaded', () => {
+    const factBtn = document.getElementById('refreshFactBtn');
+    if (factBtn) {
+        factBtn.addEventListener('click', refreshFact);
+    }
+});
 
 // Toggle expired certifications
 document.addEventListener('DOMContentLoaded', () => {
@@ -364,19 +1982,19 @@ document.addEventListener('DOMContentLoaded', () => {
     
     if (toggleBtn && expiredCerts) {
         toggleBtn.addEventListener('click', () => {
-            const isVisible = expiredCerts.style.display !== 'none';
+            const isVisible = !expiredCerts.classList.contains('hidden');
             
             if (isVisible) {
                 // Hide expired certs
-                expiredCerts.style.display = 'none';
+                expiredCerts.classList.add('hidden');
                 toggleBtn.classList.remove('active');
-                toggleBtn.querySelector('.toggle-text').textContent = 'Show Expired Certifications';
+                toggleBtn.querySelector('.toggle-text').textContent = expiredToggleText('Show');
             } else {
                 // Show expired certs
-                expiredCerts.style.display = 'block';
+                expiredCerts.classList.remove('hidden');
                 expiredCerts.classList.add('show');
                 toggleBtn.classList.add('active');
-                toggleBtn.querySelector('.toggle-text').textContent = 'Hide Expired Certifications';
+                toggleBtn.querySelector('.toggle-text').textContent = expiredToggleText('Hide');
                 
                 // Smooth scroll to expired section
                 setTimeout(() => {
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+// Applies pending D1 migrations (src/migrations.js) through wrangler.
+// Extra arguments go to `wrangler d1 execute`, e.g. --remote or --env production:
+//   npm run db:migrate
+//   node scripts/migrate-d1.mjs --local
+
+import { execFileSync } from 'node:child_process';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { SCHEMA_MIGRATIONS_TABLE, getMigrationStatements, getPendingMigrations } from '../src/migrations.js';
+
+const DATABASE = process.env.D1_DATABASE || 'resume-auth-db';
+const wranglerArgs = process.argv.slice(2);
+
+function execute(...args) {
+  return execFileSync('npx', ['wrangler', 'd1', 'execute', DATABASE, ...wranglerArgs, ...args], {
+    encoding: 'utf8',
+    stdio: ['inherit', 'pipe', 'inherit']
+  });
+}
+
+function query(sql) {
+  const output = JSON.parse(execute('--json', '--command', sql));
+  return output[output.length - 1].results;
+}
+
+query(SCHEMA_MIGRATIONS_TABLE);
+const pending = getPendingMigrations(query('SELECT version FROM schema_migrations'));
+
+if (pending.length === 0) {
+  console.log(`${DATABASE} is up to date`);
+  process.exit(0);
+}
+
+const dir = mkdtempSync(join(tmpdir(), 'd1-migrations-'));
+try {
+  for (const migration of pending) {
+    // The version row goes last, so a failed migration is retried next run
+    const file = join(dir, `${migration.version}-${migration.name}.sql`);
+    const statements = await getMigrationStatements(migration, query);
+    writeFileSync(file, [
+      ...statements,
+      `INSERT INTO schema_migrations (version, name) VALUES (${migration.version}, '${migration.name}')`
+    ].join(';\n\n') + ';\n');
+
+    console.log(`Applying migration ${migration.version} (${migration.name})`);
+    console.log(execute('--file', file));
+  }
+} finally {
+  rmSync(dir, { recursive: true, force: true });
+}
+
+console.log(`Applied ${pending.length} migration(s) to ${DATABASE}`);
@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+// Checks public/resume.json against the JSON Resume schema, plus the
+// certificate endDate and credentialId the site adds to it. Runs before every deploy:
+//   npm run resume:validate
+
+import { readFileSync } from 'node:fs';
+import resumeSchema from '@jsonresume/schema';
+
+const RESUME_FILE = new URL('../public/resume.json', import.meta.url);
+
+let resume;
+try {
+  resume = JSON.parse(readFileSync(RESUME_FILE, 'utf8'));
+} catch (error) {
+  console.error(`public/resume.json is not valid JSON: ${error.message}`);
+  process.exit(1);
+}
+
+const problems = [];
+resumeSchema.validate(resume, errors => {
+  for (const error of errors || []) {
+    problems.push(`${error.property.replace(/^instance/, 'resume')} ${error.message}`);
+  }
+});
+
+// Extensions the schema allows but doesn't describe
+const iso8601 = new RegExp(resumeSchema.schema.definitions.iso8601.pattern);
+(resume.certificates || []).forEach((certificate, index) => {
+  if (certificate.endDate !== undefined && !iso8601.test(certificate.endDate)) {
+    problems.push(`resume.certificates[${index}].endDate must be a YYYY, YYYY-MM or YYYY-MM-DD date`);
+  }
+  if (certificate.credentialId !== undefined && typeof certificate.credentialId !== 'string') {
+    problems.push(`resume.certificates[${index}].credentialId must be a string`);
+  }
+});
+
+if (problems.length > 0) {
+  console.error(`public/resume.json does not match the JSON Resume schema:\n  ${problems.join('\n  ')}`);
+  process.exit(1);
+}
+
+console.log('public/resume.json is valid');
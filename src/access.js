@@ -0,0 +1,152 @@
+// Who may see what: normalized emails, the admin identity, media access
+// rules and signed media URLs. Shared by every auth provider.
+
+import { HttpError } from './router.js';
+import { bytesToBase64, timingSafeEqual } from './encoding.js';
+
+// Emails are stored and compared trimmed and lowercased
+function normalizeEmail(email) {
+  return typeof email === 'string' && email ? email.trim().toLowerCase() : null;
+}
+
+// Admin identity is the ADMIN_EMAIL binding, whichever provider signed the
+// token. Basic-auth emails are unique regardless of case, and registering
+// ADMIN_EMAIL takes an invite bound to it (see checkInvite in worker.js).
+function isAdmin(user, env) {
+  const adminEmail = normalizeEmail(env.ADMIN_EMAIL);
+  return Boolean(adminEmail && normalizeEmail(user.email) === adminEmail);
+}
+
+// Media access control. Keys without matching rules are visible to every
+// friend; once any rule covers a key, only the emails and groups it names
+// (and the admin) can see it. Basic-auth friends belong to the groups named
+// by the labels of the invites they registered with, and match email rules
+// only once their address is verified: anyone with an open invite can sign
+// up as any address.
+function aclRuleMatches(rule, key) {
+  return rule.prefix.endsWith('/') ? key.startsWith(rule.prefix) : key === rule.prefix;
+}
+
+async function loadMediaAcl(env) {
+  const { results } = await env.DB.prepare(
+    'SELECT prefix, principal_type, principal FROM media_acl'
+  ).all();
+  return results;
+}
+
+async function getUserPrincipals(env, user, providerType) {
+  let email = user.email;
+  let groups = user.groups || [];
+
+  if (providerType === 'basic') {
+    const [account, { results }] = await Promise.all([
+      env.DB.prepare('SELECT email, email_verified_at FROM users WHERE id = ?').bind(user.userId ?? null).first(),
+      env.DB.prepare(
+        `SELECT invites.label FROM invite_redemptions
+         JOIN invites ON invites.code = invite_redemptions.invite_code
+         WHERE invite_redemptions.user_id = ? AND invites.label IS NOT NULL`
+      ).bind(user.userId ?? null).all()
+    ]);
+    email = account?.email_verified_at ? account.email : null;
+    groups = results.map(row => row.label);
+  }
+
+  return {
+    email: normalizeEmail(email),
+    groups: groups.map(group => group.toLowerCase())
+  };
+}
+
+// Returns a key => boolean check for one user
+async function createMediaAccessCheck(env, user, providerType) {
+  if (isAdmin(user, env)) {
+    return () => true;
+  }
+
+  const rules = await loadMediaAcl(env);
+  if (rules.length === 0) {
+    return () => true;
+  }
+
+  const principals = await getUserPrincipals(env, user, providerType);
+  return key => {
+    const matching = rules.filter(rule => aclRuleMatches(rule, key));
+    return matching.length === 0 || matching.some(rule =>
+      rule.principal_type === 'email'
+        ? principals.email !== null && normalizeEmail(rule.principal) === principals.email
+        : principals.groups.includes(rule.principal.toLowerCase())
+    );
+  };
+}
+
+// Signed media URLs. <img src> and download links can't send a bearer
+// header, so listings hand out URLs carrying an HMAC over the route, object
+// key, user and expiry. Expiries are rounded up to a window so URLs (and the
+// browser cache) stay stable across listing reloads.
+const MEDIA_URL_TTL = 60 * 60; // 1 hour
+const MEDIA_URL_WINDOW = 15 * 60; // 15 minutes
+
+function mediaUrlUser(user) {
+  return String(user.userId || user.sub || user.email);
+}
+
+// External providers don't need JWT_SECRET, so without MEDIA_URL_SECRET
+// there would be no key at all
+async function mediaSignature(env, kind, key, uid, exp) {
+  const secret = env.MEDIA_URL_SECRET || env.JWT_SECRET;
+  if (!secret) {
+    console.error('MEDIA_URL_SECRET is not set');
+    throw new HttpError(500, 'Signed media URLs are misconfigured');
+  }
+  const cryptoKey = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign(
+    'HMAC',
+    cryptoKey,
+    new TextEncoder().encode(`${kind}\n${key}\n${uid}\n${exp}`)
+  );
+  return bytesToBase64(new Uint8Array(signature))
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+async function signMediaUrl(env, kind, key, user) {
+  const uid = mediaUrlUser(user);
+  const now = Math.floor(Date.now() / 1000);
+  const exp = Math.ceil((now + MEDIA_URL_TTL) / MEDIA_URL_WINDOW) * MEDIA_URL_WINDOW;
+  const params = new URLSearchParams({
+    uid,
+    exp: String(exp),
+    sig: await mediaSignature(env, kind, key, uid, exp)
+  });
+  return `/api/protected/${kind}/${encodeURIComponent(key)}?${params}`;
+}
+
+// Returns the signing user id, or null if the signature is bad or expired
+async function verifyMediaUrl(env, kind, key, params) {
+  const uid = params.get('uid');
+  const exp = Number(params.get('exp'));
+  const sig = params.get('sig') || '';
+
+  if (!uid || !exp || exp < Date.now() / 1000) {
+    return null;
+  }
+
+  const expected = await mediaSignature(env, kind, key, uid, exp);
+  const encoder = new TextEncoder();
+  return timingSafeEqual(encoder.encode(sig), encoder.encode(expected)) ? uid : null;
+}
+
+// Export for use in the Cloudflare Worker
+export {
+  normalizeEmail,
+  isAdmin,
+  createMediaAccessCheck,
+  mediaUrlUser,
+  signMediaUrl,
+  verifyMediaUrl
+};
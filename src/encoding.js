@@ -0,0 +1,23 @@
+// Byte and base64 helpers shared by the worker's modules
+
+function bytesToBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+function base64ToBytes(str) {
+  return Uint8Array.from(atob(str), char => char.charCodeAt(0));
+}
+
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ b[i];
+  }
+  return diff === 0;
+}
+
+// Export for use in the Cloudflare Worker
+export { bytesToBase64, base64ToBytes, timingSafeEqual };
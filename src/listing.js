@@ -0,0 +1,87 @@
+// Paginated R2 listings for the photo and document routes
+
+import { HttpError } from './router.js';
+import { bytesToBase64, base64ToBytes } from './encoding.js';
+
+// Cursors encode the last key returned, so pages can be cut at exactly
+// `limit` objects after access and album filtering.
+const LIST_DEFAULT_LIMIT = 50;
+const LIST_MAX_LIMIT = 200;
+
+function parseListParams(url) {
+  const limit = parseInt(url.searchParams.get('limit'), 10) || LIST_DEFAULT_LIMIT;
+  return {
+    limit: Math.min(Math.max(limit, 1), LIST_MAX_LIMIT),
+    cursor: url.searchParams.get('cursor')
+  };
+}
+
+function encodeListCursor(key) {
+  return bytesToBase64(new TextEncoder().encode(key))
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// A cursor that doesn't decode to a key under the listing's prefix was not
+// issued by it; starting over from page one would repeat items forever
+function decodeListCursor(cursor, prefix) {
+  let key;
+  try {
+    if (!/^[A-Za-z0-9_-]+$/.test(cursor)) {
+      throw new Error('Not base64url');
+    }
+    const bytes = base64ToBytes(cursor.replace(/-/g, '+').replace(/_/g, '/'));
+    key = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch {
+    throw new HttpError(400, 'Invalid cursor');
+  }
+  if (!key.startsWith(prefix)) {
+    throw new HttpError(400, 'Invalid cursor');
+  }
+  return key;
+}
+
+async function listObjectsPage(env, prefix, { limit, cursor }, include = () => true) {
+  const items = [];
+  let startAfter = cursor ? decodeListCursor(cursor, prefix) : undefined;
+  let more = true;
+
+  while (more && items.length < limit) {
+    const page = await env.BUCKET.list({ prefix, startAfter, limit: Math.min(limit * 2, 1000) });
+    more = page.truncated && page.objects.length > 0;
+
+    for (const [index, obj] of page.objects.entries()) {
+      startAfter = obj.key;
+      if (!include(obj)) {
+        continue;
+      }
+      items.push(obj);
+      if (items.length === limit) {
+        more = more || index < page.objects.length - 1;
+        break;
+      }
+    }
+  }
+
+  return { items, nextCursor: more ? encodeListCursor(startAfter) : null };
+}
+
+// Follows R2 list cursors until every object under the prefix is returned
+async function listAllObjects(env, prefix) {
+  const objects = [];
+  let cursor;
+  do {
+    const page = await env.BUCKET.list({ prefix, cursor });
+    objects.push(...page.objects);
+    cursor = page.truncated ? page.cursor : undefined;
+  } while (cursor);
+  return objects;
+}
+
+// Export for use in the Cloudflare Worker
+export {
+  parseListParams,
+  encodeListCursor,
+  decodeListCursor,
+  listObjectsPage,
+  listAllObjects
+};
@@ -0,0 +1,104 @@
+// Outgoing mail for the Cloudflare Worker
+// Every transport has one method, send({ to, subject, text, html }).
+// MAIL_TRANSPORT picks one: 'http' posts to an HTTP mail API, 'log' writes
+// messages to the worker log for local development. Tests can put any object
+// with a send() method in env.MAIL_TRANSPORT, e.g. a CaptureMailTransport.
+
+class MailConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MailConfigError';
+  }
+}
+
+// JSON { from, to, subject, text, html } with a bearer key, as Resend's API
+// takes it; point MAIL_API_URL at any service that accepts the same body
+const DEFAULT_MAIL_API_URL = 'https://api.resend.com/emails';
+
+class HttpMailTransport {
+  constructor(apiUrl, apiKey, from) {
+    this.apiUrl = apiUrl;
+    this.apiKey = apiKey;
+    this.from = from;
+  }
+
+  async send({ to, subject, text, html }) {
+    const response = await fetch(this.apiUrl, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ from: this.from, to: [to], subject, text, html })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Mail API responded with ${response.status}: ${await response.text()}`);
+    }
+  }
+}
+
+// Prints messages (sign-in links included) to `wrangler dev` output. Never
+// use it in production: anyone with access to the logs could sign in.
+class LogMailTransport {
+  async send({ to, subject, text }) {
+    console.log(`[mail] To: ${to}\n[mail] Subject: ${subject}\n${text}`);
+  }
+}
+
+// Keeps messages in memory for tests to inspect
+class CaptureMailTransport {
+  constructor() {
+    this.messages = [];
+  }
+
+  async send(message) {
+    this.messages.push(message);
+  }
+}
+
+const transportCache = new WeakMap();
+
+// Returns the configured transport, or null when mail isn't set up
+function getMailTransport(env) {
+  if (!transportCache.has(env)) {
+    transportCache.set(env, buildMailTransport(env));
+  }
+  return transportCache.get(env);
+}
+
+function buildMailTransport(env) {
+  const transport = env.MAIL_TRANSPORT || (env.MAIL_API_KEY ? 'http' : null);
+
+  if (transport && typeof transport.send === 'function') {
+    return transport;
+  }
+
+  switch (transport) {
+    case null:
+      return null;
+
+    case 'http': {
+      const missing = ['MAIL_API_KEY', 'MAIL_FROM'].filter(name => !env[name]);
+      if (missing.length > 0) {
+        throw new MailConfigError(`Incomplete mail configuration: missing ${missing.join(', ')}`);
+      }
+      return new HttpMailTransport(env.MAIL_API_URL || DEFAULT_MAIL_API_URL, env.MAIL_API_KEY, env.MAIL_FROM);
+    }
+
+    case 'log':
+      return new LogMailTransport();
+
+    default:
+      throw new MailConfigError(`Unknown MAIL_TRANSPORT "${transport}"; use "http" or "log"`);
+  }
+}
+
+// Export for use in the Cloudflare Worker
+export {
+  MailConfigError,
+  HttpMailTransport,
+  LogMailTransport,
+  CaptureMailTransport,
+  getMailTransport
+};
@@ -0,0 +1,288 @@
+// D1 schema migrations
+// Applied in version order by `npm run db:migrate` (scripts/migrate-d1.mjs),
+// each in one file together with its schema_migrations row. The worker only
+// checks SCHEMA_VERSION and answers 503 until they have run. Never edit a
+// migration that has shipped; add a new one instead.
+
+const SCHEMA_MIGRATIONS_TABLE = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+`;
+
+const MIGRATIONS = [
+  {
+    // The schema initializeDatabase used to create on every request.
+    // IF NOT EXISTS lets databases created that way adopt it as-is.
+    version: 1,
+    name: 'baseline',
+    statements: [
+      `CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        email TEXT UNIQUE NOT NULL,
+        password_hash TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        disabled_at DATETIME
+      )`,
+
+      // Registration is invite-only; max_uses NULL means unlimited
+      `CREATE TABLE IF NOT EXISTS invites (
+        code TEXT PRIMARY KEY,
+        label TEXT,
+        email TEXT,
+        max_uses INTEGER DEFAULT 1,
+        uses INTEGER NOT NULL DEFAULT 0,
+        expires_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS invite_redemptions (
+        invite_code TEXT NOT NULL REFERENCES invites(code),
+        user_id INTEGER NOT NULL REFERENCES users(id),
+        redeemed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (invite_code, user_id)
+      )`,
+
+      // One row per login; refresh tokens are stored as SHA-256 hashes
+      `CREATE TABLE IF NOT EXISTS sessions (
+        id TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        refresh_token_hash TEXT NOT NULL,
+        user_agent TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME NOT NULL,
+        revoked_at DATETIME
+      )`,
+
+      // Single-use password reset links; tokens are stored as SHA-256 hashes
+      `CREATE TABLE IF NOT EXISTS password_resets (
+        token_hash TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Restricts a key or key prefix (ending in /) to an email or a group
+      `CREATE TABLE IF NOT EXISTS media_acl (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        prefix TEXT NOT NULL,
+        principal_type TEXT NOT NULL CHECK (principal_type IN ('email', 'group')),
+        principal TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (prefix, principal_type, principal)
+      )`,
+
+      // Gallery metadata, keyed by the photo's R2 key
+      `CREATE TABLE IF NOT EXISTS photo_metadata (
+        key TEXT PRIMARY KEY,
+        album TEXT,
+        caption TEXT,
+        taken_at DATETIME,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS photo_tags (
+        key TEXT NOT NULL,
+        tag TEXT NOT NULL,
+        PRIMARY KEY (key, tag)
+      )`
+    ]
+  },
+  {
+    // Last login used to be derived from the newest session
+    version: 2,
+    name: 'user_profile',
+    statements: [
+      'ALTER TABLE users ADD COLUMN last_login_at DATETIME',
+      'ALTER TABLE users ADD COLUMN display_name TEXT',
+      `UPDATE users SET last_login_at = (
+        SELECT MAX(created_at) FROM sessions WHERE sessions.user_id = users.id
+      )`
+    ]
+  },
+  {
+    // Login and registration attempts, for throttling and for the owner to review
+    version: 3,
+    name: 'auth_attempts',
+    statements: [
+      `CREATE TABLE auth_attempts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        action TEXT NOT NULL,
+        email TEXT,
+        ip TEXT NOT NULL,
+        outcome TEXT NOT NULL CHECK (outcome IN ('success', 'failure', 'locked')),
+        user_agent TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      'CREATE INDEX auth_attempts_email ON auth_attempts (action, email, created_at)',
+      'CREATE INDEX auth_attempts_ip ON auth_attempts (action, ip, created_at)'
+    ]
+  },
+  {
+    // Append-only record of who logged in and which photos and documents they opened
+    version: 4,
+    name: 'access_log',
+    statements: [
+      `CREATE TABLE access_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event TEXT NOT NULL,
+        outcome TEXT NOT NULL CHECK (outcome IN ('success', 'failure')),
+        user_id TEXT,
+        email TEXT,
+        object_key TEXT,
+        ip TEXT,
+        country TEXT,
+        user_agent TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      'CREATE INDEX access_log_created ON access_log (created_at)',
+      'CREATE INDEX access_log_user ON access_log (user_id, created_at)',
+      'CREATE INDEX access_log_email ON access_log (email, created_at)'
+    ]
+  },
+  {
+    // TOTP two-factor authentication for basic-auth accounts
+    version: 5,
+    name: 'mfa',
+    statements: [
+      // enabled_at stays NULL until the first code is verified
+      `CREATE TABLE user_mfa (
+        user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        secret TEXT NOT NULL,
+        enabled_at DATETIME,
+        last_used_step INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      `CREATE TABLE mfa_recovery_codes (
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        code_hash TEXT NOT NULL,
+        used_at DATETIME,
+        PRIMARY KEY (user_id, code_hash)
+      )`,
+      // Issued by /api/login after the password checks out; tokens are stored as SHA-256 hashes
+      `CREATE TABLE mfa_challenges (
+        token_hash TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        expires_at DATETIME NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`
+    ]
+  },
+  {
+    // WebAuthn passkeys for basic-auth accounts
+    version: 6,
+    name: 'passkeys',
+    statements: [
+      // id is the base64url credential id; public_key is a JWK
+      `CREATE TABLE passkeys (
+        id TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        public_key TEXT NOT NULL,
+        algorithm INTEGER NOT NULL,
+        sign_count INTEGER NOT NULL DEFAULT 0,
+        name TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_used_at DATETIME
+      )`,
+      'CREATE INDEX passkeys_user ON passkeys (user_id)',
+      // Single-use ceremony challenges; user_id is set for registrations
+      `CREATE TABLE webauthn_challenges (
+        challenge TEXT PRIMARY KEY,
+        purpose TEXT NOT NULL CHECK (purpose IN ('register', 'login')),
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        expires_at DATETIME NOT NULL
+      )`
+    ]
+  },
+  {
+    // Emailed single-use sign-in links; tokens are stored as SHA-256 hashes
+    version: 7,
+    name: 'magic_links',
+    statements: [
+      `CREATE TABLE magic_links (
+        token_hash TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      'CREATE INDEX magic_links_user ON magic_links (user_id, created_at)'
+    ]
+  },
+  {
+    // users tables created by the old initializeDatabase before account
+    // disabling existed; the baseline's IF NOT EXISTS left them as they were
+    version: 8,
+    name: 'users_disabled_at',
+    missingColumns: { users: { disabled_at: 'DATETIME' } },
+    statements: []
+  },
+  {
+    // The worker now trims and lowercases emails before storing or looking
+    // them up; the index stops case variants of one address from registering
+    // twice. Fails if two accounts differ only in case; merge them first.
+    version: 9,
+    name: 'users_email_nocase',
+    statements: [
+      'UPDATE users SET email = lower(trim(email))',
+      'UPDATE invites SET email = lower(trim(email)) WHERE email IS NOT NULL',
+      'CREATE UNIQUE INDEX users_email_nocase ON users (email COLLATE NOCASE)'
+    ]
+  },
+  {
+    // Email ACL rules only match verified addresses: set by invites bound to
+    // the email, accounts the admin creates, and magic link sign-ins. Existing
+    // friends count as verified if their invite was bound to their email.
+    version: 10,
+    name: 'users_email_verified',
+    statements: [
+      'ALTER TABLE users ADD COLUMN email_verified_at DATETIME',
+      `UPDATE users SET email_verified_at = created_at
+       WHERE EXISTS (
+         SELECT 1 FROM invite_redemptions
+         JOIN invites ON invites.code = invite_redemptions.invite_code
+         WHERE invite_redemptions.user_id = users.id AND invites.email = users.email
+       )`
+    ]
+  }
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function getPendingMigrations(applied) {
+  const versions = new Set(applied.map(migration => migration.version));
+  return MIGRATIONS.filter(migration => !versions.has(migration.version));
+}
+
+// SQLite has no ADD COLUMN IF NOT EXISTS, so a migration's missingColumns
+// become ALTER TABLE statements only for the columns a table lacks. query(sql)
+// resolves to the result rows; call this right before applying the migration.
+async function getMigrationStatements(migration, query) {
+  const statements = [];
+
+  for (const [table, columns] of Object.entries(migration.missingColumns || {})) {
+    const rows = await query(`SELECT name FROM pragma_table_info('${table}')`);
+    const existing = new Set(rows.map(row => row.name));
+    for (const [column, definition] of Object.entries(columns)) {
+      if (!existing.has(column)) {
+        statements.push(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      }
+    }
+  }
+
+  return [...statements, ...migration.statements];
+}
+
+// Export for use in the Cloudflare Worker and scripts/migrate-d1.mjs
+export {
+  MIGRATIONS,
+  SCHEMA_VERSION,
+  SCHEMA_MIGRATIONS_TABLE,
+  getPendingMigrations,
+  getMigrationStatements
+};
@@ -0,0 +1,181 @@
+// Minimal router and middleware pipeline for the Cloudflare Worker
+// Routes declare their own method, path params and middleware
+
+// Thrown from handlers and middleware; turned into a JSON error response
+class HttpError extends Error {
+  constructor(status, message, headers = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+function json(data, status = 200, headers = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { ...headers, 'Content-Type': 'application/json' }
+  });
+}
+
+// Route params arrive percent-encoded; a malformed escape is the client's fault
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    throw new HttpError(400, 'Malformed URL');
+  }
+}
+
+// Runs middleware in order, each receiving the context and a next() that
+// resolves to the downstream response
+function compose(middleware, handler) {
+  return function dispatch(c, index = 0) {
+    if (index === middleware.length) {
+      return handler(c);
+    }
+    return middleware[index](c, () => dispatch(c, index + 1));
+  };
+}
+
+// '/api/admin/users/:id' captures one segment; '/api/protected/photo/:key+'
+// captures the rest of the path
+function compilePath(pattern) {
+  const keys = [];
+  const source = pattern
+    .split('/')
+    .map(segment => {
+      const param = segment.match(/^:(\w+)(\+)?$/);
+      if (!param) {
+        return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      }
+      keys.push(param[1]);
+      return param[2] ? '(.+)' : '([^/]+)';
+    })
+    .join('/');
+  return { regex: new RegExp(`^${source}$`), keys };
+}
+
+class Router {
+  constructor() {
+    this.middleware = [];
+    this.routes = [];
+  }
+
+  use(...middleware) {
+    this.middleware.push(...middleware);
+    return this;
+  }
+
+  on(method, pattern, ...handlers) {
+    const handler = handlers.pop();
+    this.routes.push({ method, ...compilePath(pattern), run: compose(handlers, handler) });
+    return this;
+  }
+
+  get(pattern, ...handlers) {
+    return this.on('GET', pattern, ...handlers);
+  }
+
+  post(pattern, ...handlers) {
+    return this.on('POST', pattern, ...handlers);
+  }
+
+  put(pattern, ...handlers) {
+    return this.on('PUT', pattern, ...handlers);
+  }
+
+  delete(pattern, ...handlers) {
+    return this.on('DELETE', pattern, ...handlers);
+  }
+
+  // HEAD runs the GET route and drops the body, keeping its headers
+  async dispatch(c) {
+    const path = c.url.pathname;
+    const method = c.request.method === 'HEAD' ? 'GET' : c.request.method;
+    const allowed = [];
+
+    for (const route of this.routes) {
+      const match = path.match(route.regex);
+      if (!match) {
+        continue;
+      }
+      if (route.method !== method) {
+        allowed.push(route.method);
+        continue;
+      }
+      c.params = Object.fromEntries(route.keys.map((key, i) => [key, decodeParam(match[i + 1])]));
+      const response = await route.run(c);
+      return c.request.method === 'HEAD' ? new Response(null, response) : response;
+    }
+
+    if (allowed.length > 0) {
+      const methods = new Set(allowed);
+      if (methods.has('GET')) {
+        methods.add('HEAD');
+      }
+      throw new HttpError(405, 'Method Not Allowed', { Allow: [...methods].join(', ') });
+    }
+    throw new HttpError(404, 'Not Found');
+  }
+
+  handle(request, env, executionCtx) {
+    const c = {
+      request,
+      env,
+      executionCtx,
+      url: new URL(request.url),
+      params: {},
+      state: {}
+    };
+    return compose(this.middleware, ctx => this.dispatch(ctx))(c);
+  }
+}
+
+// Adds CORS headers to every response and answers preflight requests
+function cors(corsHeaders) {
+  return async (c, next) => {
+    if (c.request.method === 'OPTIONS') {
+      return new Response(null, { headers: corsHeaders });
+    }
+
+    const response = await next();
+    const withCors = new Response(response.body, response);
+    Object.entries(corsHeaders).forEach(([name, value]) => withCors.headers.set(name, value));
+    return withCors;
+  };
+}
+
+// Maps thrown errors to JSON responses
+function errorHandler() {
+  return async (c, next) => {
+    try {
+      return await next();
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return json({ error: error.message }, error.status, error.headers);
+      }
+      console.error('Unhandled error:', error);
+      return json({ error: 'Internal Server Error' }, 500);
+    }
+  };
+}
+
+// Parses a JSON request body into c.body; an empty body becomes {}
+function jsonBody() {
+  return async (c, next) => {
+    const text = await c.request.text();
+    try {
+      c.body = text ? JSON.parse(text) : {};
+    } catch {
+      throw new HttpError(400, 'Invalid JSON body');
+    }
+    if (typeof c.body !== 'object' || c.body === null) {
+      throw new HttpError(400, 'JSON body must be an object');
+    }
+    return next();
+  };
+}
+
+// Export for use in the Cloudflare Worker
+export { Router, HttpError, json, cors, errorHandler, jsonBody };
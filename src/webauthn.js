@@ -0,0 +1,333 @@
+// WebAuthn (passkey) ceremony verification for the Cloudflare Worker
+// Parses client data, authenticator data and COSE keys, and checks assertion
+// signatures with WebCrypto. Attestation statements are not verified; the
+// worker asks for attestation: 'none'.
+
+const COSE_ALG_ES256 = -7;
+const COSE_ALG_RS256 = -257;
+const SUPPORTED_ALGORITHMS = [COSE_ALG_ES256, COSE_ALG_RS256];
+
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_ATTESTED_CREDENTIAL = 0x40;
+
+// Attestation objects and COSE keys nest a few levels at most
+const CBOR_MAX_DEPTH = 8;
+
+class WebAuthnError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WebAuthnError';
+  }
+}
+
+function bytesToBase64Url(bytes) {
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(str) {
+  if (typeof str !== 'string' || !/^[A-Za-z0-9_-]*$/.test(str)) {
+    throw new WebAuthnError('Malformed credential');
+  }
+  const base64 = str.replace(/-/g, '+').replace(/_/g, '/');
+  try {
+    return Uint8Array.from(atob(base64 + '='.repeat((4 - base64.length % 4) % 4)), c => c.charCodeAt(0));
+  } catch {
+    throw new WebAuthnError('Malformed credential');
+  }
+}
+
+async function sha256(bytes) {
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+}
+
+function bytesEqual(a, b) {
+  return a.length === b.length && a.every((byte, i) => byte === b[i]);
+}
+
+// Minimal CBOR decoder covering what attestation objects and COSE keys use:
+// integers, byte and text strings, arrays, maps and simple values. Anything
+// truncated, oversized or too deeply nested is a WebAuthnError.
+function decodeCbor(bytes, offset = 0) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  function need(length) {
+    if (offset + length > bytes.length) {
+      throw new WebAuthnError('Truncated CBOR data');
+    }
+  }
+
+  function readLength(info) {
+    if (info < 24) return info;
+    if (info === 24) { need(1); return view.getUint8(offset++); }
+    if (info === 25) { need(2); const value = view.getUint16(offset); offset += 2; return value; }
+    if (info === 26) { need(4); const value = view.getUint32(offset); offset += 4; return value; }
+    if (info === 27) { need(8); const value = Number(view.getBigUint64(offset)); offset += 8; return value; }
+    throw new WebAuthnError('Unsupported CBOR encoding');
+  }
+
+  function readItem(depth) {
+    need(1);
+    if (depth > CBOR_MAX_DEPTH) {
+      throw new WebAuthnError('Unsupported CBOR encoding');
+    }
+    const initial = view.getUint8(offset++);
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+
+    switch (major) {
+      case 0:
+        return readLength(info);
+      case 1:
+        return -1 - readLength(info);
+      case 2: {
+        const length = readLength(info);
+        need(length);
+        const value = bytes.slice(offset, offset + length);
+        offset += length;
+        return value;
+      }
+      case 3: {
+        const length = readLength(info);
+        need(length);
+        const value = new TextDecoder().decode(bytes.subarray(offset, offset + length));
+        offset += length;
+        return value;
+      }
+      case 4: {
+        // Every item takes at least a byte, so the count can't exceed what's left
+        const length = readLength(info);
+        need(length);
+        return Array.from({ length }, () => readItem(depth + 1));
+      }
+      case 5: {
+        const length = readLength(info);
+        need(length * 2);
+        const map = new Map();
+        for (let i = length; i > 0; i--) {
+          const key = readItem(depth + 1);
+          map.set(key, readItem(depth + 1));
+        }
+        return map;
+      }
+      case 7:
+        if (info === 20) return false;
+        if (info === 21) return true;
+        if (info === 22) return null;
+        break;
+    }
+    throw new WebAuthnError('Unsupported CBOR encoding');
+  }
+
+  const value = readItem(0);
+  return { value, offset };
+}
+
+// A byte string parameter of a COSE key, optionally of an exact length
+function coseKeyBytes(coseKey, label, length) {
+  const value = coseKey.get(label);
+  if (!(value instanceof Uint8Array) || value.length === 0 || (length && value.length !== length)) {
+    throw new WebAuthnError('Malformed public key');
+  }
+  return bytesToBase64Url(value);
+}
+
+// COSE_Key -> JWK for crypto.subtle.importKey
+function coseKeyToJwk(coseKey) {
+  if (!(coseKey instanceof Map)) {
+    throw new WebAuthnError('Malformed public key');
+  }
+  const alg = coseKey.get(3);
+
+  if (alg === COSE_ALG_ES256 && coseKey.get(1) === 2 && coseKey.get(-1) === 1) {
+    return {
+      algorithm: alg,
+      jwk: { kty: 'EC', crv: 'P-256', x: coseKeyBytes(coseKey, -2, 32), y: coseKeyBytes(coseKey, -3, 32) }
+    };
+  }
+  if (alg === COSE_ALG_RS256 && coseKey.get(1) === 3) {
+    return {
+      algorithm: alg,
+      jwk: { kty: 'RSA', alg: 'RS256', n: coseKeyBytes(coseKey, -1), e: coseKeyBytes(coseKey, -2) }
+    };
+  }
+  throw new WebAuthnError('Unsupported public key algorithm');
+}
+
+function parseAuthenticatorData(authData) {
+  if (authData.length < 37) {
+    throw new WebAuthnError('Malformed authenticator data');
+  }
+  const view = new DataView(authData.buffer, authData.byteOffset, authData.byteLength);
+  const flags = authData[32];
+  const parsed = {
+    rpIdHash: authData.slice(0, 32),
+    userPresent: Boolean(flags & FLAG_USER_PRESENT),
+    userVerified: Boolean(flags & FLAG_USER_VERIFIED),
+    signCount: view.getUint32(33)
+  };
+
+  // 16-byte AAGUID and a 2-byte id length, then the id and the COSE key
+  if (flags & FLAG_ATTESTED_CREDENTIAL) {
+    if (authData.length < 55) {
+      throw new WebAuthnError('Malformed authenticator data');
+    }
+    const idLength = view.getUint16(53);
+    if (idLength === 0 || authData.length < 55 + idLength) {
+      throw new WebAuthnError('Malformed authenticator data');
+    }
+    parsed.credentialId = authData.slice(55, 55 + idLength);
+    parsed.publicKey = coseKeyToJwk(decodeCbor(authData, 55 + idLength).value);
+  }
+  return parsed;
+}
+
+// WebAuthn signs ECDSA as ASN.1 DER; WebCrypto wants r || s
+function derToRawSignature(der) {
+  let offset = 2;
+  const parts = [];
+  for (let i = 0; i < 2; i++) {
+    if (der[offset] !== 0x02) {
+      throw new WebAuthnError('Malformed signature');
+    }
+    const length = der[offset + 1];
+    if (offset + 2 + length > der.length) {
+      throw new WebAuthnError('Malformed signature');
+    }
+    let integer = der.slice(offset + 2, offset + 2 + length);
+    offset += 2 + length;
+    while (integer.length > 32 && integer[0] === 0) {
+      integer = integer.slice(1);
+    }
+    if (integer.length > 32) {
+      throw new WebAuthnError('Malformed signature');
+    }
+    const padded = new Uint8Array(32);
+    padded.set(integer, 32 - integer.length);
+    parts.push(padded);
+  }
+  const raw = new Uint8Array(64);
+  raw.set(parts[0]);
+  raw.set(parts[1], 32);
+  return raw;
+}
+
+// The response object of a credential from the browser
+function credentialResponse(credential) {
+  if (!credential || typeof credential !== 'object' || !credential.response || typeof credential.response !== 'object') {
+    throw new WebAuthnError('Malformed credential');
+  }
+  return credential.response;
+}
+
+// Returns the decoded clientDataJSON of a credential from the browser
+function parseClientData(credential) {
+  let clientData;
+  try {
+    clientData = JSON.parse(new TextDecoder().decode(base64UrlToBytes(credential.response.clientDataJSON)));
+  } catch {
+    throw new WebAuthnError('Malformed credential');
+  }
+  if (!clientData || typeof clientData !== 'object') {
+    throw new WebAuthnError('Malformed credential');
+  }
+  return clientData;
+}
+
+async function checkCeremony(credential, type, { challenge, origin, rpId }, authData) {
+  const clientData = parseClientData(credential);
+  if (clientData.type !== type) {
+    throw new WebAuthnError('Unexpected ceremony type');
+  }
+  if (clientData.challenge !== challenge) {
+    throw new WebAuthnError('Challenge mismatch');
+  }
+  if (clientData.origin !== origin) {
+    throw new WebAuthnError('Origin mismatch');
+  }
+
+  const parsed = parseAuthenticatorData(authData);
+  if (!bytesEqual(parsed.rpIdHash, await sha256(new TextEncoder().encode(rpId)))) {
+    throw new WebAuthnError('Relying party mismatch');
+  }
+  if (!parsed.userPresent || !parsed.userVerified) {
+    throw new WebAuthnError('User verification required');
+  }
+  return parsed;
+}
+
+// A stored public key as a WebCrypto verification key. Registration imports
+// it once too, so a key that can't be used is refused before it is saved.
+async function importPublicKey(jwk, algorithm) {
+  try {
+    return algorithm === COSE_ALG_ES256
+      ? await crypto.subtle.importKey('jwk', jwk, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify'])
+      : await crypto.subtle.importKey('jwk', jwk, { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, false, ['verify']);
+  } catch {
+    throw new WebAuthnError('Malformed public key');
+  }
+}
+
+// Checks a navigator.credentials.create() result. Returns the credential id,
+// public key (as a JWK), COSE algorithm and signature counter to store.
+async function verifyRegistration(credential, expected) {
+  const { value: attestation } = decodeCbor(base64UrlToBytes(credentialResponse(credential).attestationObject));
+  const authData = attestation instanceof Map && attestation.get('authData');
+  if (!(authData instanceof Uint8Array)) {
+    throw new WebAuthnError('Malformed attestation');
+  }
+
+  const parsed = await checkCeremony(credential, 'webauthn.create', expected, authData);
+  if (!parsed.credentialId) {
+    throw new WebAuthnError('No credential in attestation');
+  }
+  if (bytesToBase64Url(parsed.credentialId) !== credential.id) {
+    throw new WebAuthnError('Credential id mismatch');
+  }
+  await importPublicKey(parsed.publicKey.jwk, parsed.publicKey.algorithm);
+
+  return {
+    id: credential.id,
+    publicKey: parsed.publicKey.jwk,
+    algorithm: parsed.publicKey.algorithm,
+    signCount: parsed.signCount
+  };
+}
+
+// Checks a navigator.credentials.get() result against a stored credential and
+// returns the new signature counter
+async function verifyAuthentication(credential, expected, stored) {
+  const authData = base64UrlToBytes(credentialResponse(credential).authenticatorData);
+  const parsed = await checkCeremony(credential, 'webauthn.get', expected, authData);
+
+  const clientDataHash = await sha256(base64UrlToBytes(credential.response.clientDataJSON));
+  const signedData = new Uint8Array(authData.length + clientDataHash.length);
+  signedData.set(authData);
+  signedData.set(clientDataHash, authData.length);
+
+  const signature = base64UrlToBytes(credential.response.signature);
+  const publicKey = await importPublicKey(stored.publicKey, stored.algorithm);
+  const valid = stored.algorithm === COSE_ALG_ES256
+    ? await crypto.subtle.verify({ name: 'ECDSA', hash: 'SHA-256' }, publicKey, derToRawSignature(signature), signedData)
+    : await crypto.subtle.verify({ name: 'RSASSA-PKCS1-v1_5' }, publicKey, signature, signedData);
+  if (!valid) {
+    throw new WebAuthnError('Invalid signature');
+  }
+
+  // Authenticators that count must count up; going backwards means a cloned key
+  if ((parsed.signCount !== 0 || stored.signCount !== 0) && parsed.signCount <= stored.signCount) {
+    throw new WebAuthnError('Signature counter did not increase');
+  }
+  return { signCount: parsed.signCount };
+}
+
+// Export for use in the Cloudflare Worker
+export {
+  SUPPORTED_ALGORITHMS,
+  WebAuthnError,
+  bytesToBase64Url,
+  base64UrlToBytes,
+  parseClientData,
+  verifyRegistration,
+  verifyAuthentication
+};
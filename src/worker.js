@@ -1,14 +1,102 @@
 // Cloudflare Worker for authentication and protected content API
 // This runs at the edge and handles all backend functionality
 
+import { CognitoWorkerAuth } from '../auth-providers/cognito/cloudflare/cognito-worker.js';
+import { OktaWorkerAuth } from '../auth-providers/okta/cloudflare/okta-worker.js';
+import { KeycloakWorkerAuth } from '../auth-providers/keycloak/cloudflare/keycloak-worker.js';
+import { Router, HttpError, json, cors, errorHandler, jsonBody } from './router.js';
+import { SCHEMA_VERSION } from './migrations.js';
+import { SUPPORTED_ALGORITHMS, WebAuthnError, bytesToBase64Url, parseClientData, verifyRegistration, verifyAuthentication } from './webauthn.js';
+import { getMailTransport } from './mail.js';
+import { normalizeEmail, isAdmin, createMediaAccessCheck, mediaUrlUser, signMediaUrl, verifyMediaUrl } from './access.js';
+import { parseListParams, listObjectsPage, listAllObjects } from './listing.js';
+import { bytesToBase64, base64ToBytes, timingSafeEqual } from './encoding.js';
+import resume from '../public/resume.json';
+
+// Env vars that select each external provider. Setting any of them picks that
+// provider, after which all of them must be present. AWS_REGION is optional.
+const PROVIDER_ENV = {
+  cognito: ['COGNITO_USER_POOL_ID', 'COGNITO_CLIENT_ID'],
+  okta: ['OKTA_ISSUER', 'OKTA_CLIENT_ID'],
+  keycloak: ['KEYCLOAK_SERVER_URL', 'KEYCLOAK_REALM', 'KEYCLOAK_CLIENT_ID']
+};
+
+class AuthConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthConfigError';
+  }
+}
+
+// Providers are cached per env so JWKS caches survive across requests
+const authConfigCache = new WeakMap();
+
 // Auth provider factory
 class AuthProviderFactory {
   static create(env) {
-    // Use basic JWT auth
-    return {
-      type: 'basic',
-      provider: new BasicJWTAuth(env.JWT_SECRET)
-    };
+    if (!authConfigCache.has(env)) {
+      authConfigCache.set(env, AuthProviderFactory.build(env));
+    }
+    return authConfigCache.get(env);
+  }
+
+  static detect(env) {
+    const configured = Object.entries(PROVIDER_ENV)
+      .filter(([, vars]) => vars.some(name => env[name]))
+      .map(([type]) => type);
+
+    if (configured.length > 1) {
+      throw new AuthConfigError(
+        `Ambiguous auth configuration: variables set for ${configured.join(', ')}. Configure only one provider.`
+      );
+    }
+
+    if (configured.length === 0) {
+      return 'basic';
+    }
+
+    const type = configured[0];
+    const missing = PROVIDER_ENV[type].filter(name => !env[name]);
+    if (missing.length > 0) {
+      throw new AuthConfigError(
+        `Incomplete ${type} auth configuration: missing ${missing.join(', ')}`
+      );
+    }
+
+    return type;
+  }
+
+  static build(env) {
+    const type = AuthProviderFactory.detect(env);
+
+    switch (type) {
+      case 'cognito':
+        return {
+          type,
+          provider: new CognitoWorkerAuth(env.COGNITO_USER_POOL_ID, env.AWS_REGION || 'us-east-1')
+        };
+
+      case 'okta':
+        return {
+          type,
+          provider: new OktaWorkerAuth(env.OKTA_ISSUER, env.OKTA_CLIENT_ID)
+        };
+
+      case 'keycloak':
+        return {
+          type,
+          provider: new KeycloakWorkerAuth(env.KEYCLOAK_SERVER_URL, env.KEYCLOAK_REALM, env.KEYCLOAK_CLIENT_ID)
+        };
+
+      default:
+        if (!env.JWT_SECRET) {
+          throw new AuthConfigError('No auth provider configured and JWT_SECRET is not set');
+        }
+        return {
+          type: 'basic',
+          provider: new BasicJWTAuth(env.JWT_SECRET)
+        };
+    }
   }
 }
 
@@ -40,6 +128,15 @@ class BasicJWTAuth {
       };
     }
 
+    // Access tokens die with their session, so logout takes effect immediately
+    if (!user.sid || !(await isSessionActive(env, user.sid))) {
+      return { 
+        success: false, 
+        error: 'Session has been revoked',
+        status: 401 
+      };
+    }
+
     return { 
       success: true, 
       user: user 
@@ -102,24 +199,849 @@ class BasicJWTAuth {
   }
 }
 
-// Database initialization
-async function initializeDatabase(env) {
-  const createUsersTable = `
-    CREATE TABLE IF NOT EXISTS users (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      email TEXT UNIQUE NOT NULL,
-      password_hash TEXT NOT NULL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+// Schema. Migrations are applied with `npm run db:migrate` (see
+// src/migrations.js); the worker only checks once per isolate that none are
+// pending.
+let schemaReady = false;
+
+async function isSchemaCurrent(env) {
+  if (!schemaReady) {
+    const row = await env.DB.prepare('SELECT MAX(version) AS version FROM schema_migrations')
+      .first()
+      .catch(() => null);
+    schemaReady = row?.version >= SCHEMA_VERSION;
+  }
+  return schemaReady;
+}
+
+// Invite codes (for basic auth registration). Emails arrive normalized.
+// ADMIN_EMAIL unlocks every admin route, so only an invite bound to it can
+// register that address.
+function checkInvite(invite, email, adminEmail) {
+  if (!invite) {
+    return 'Invalid invite code';
+  }
+  if (invite.expired) {
+    return 'Invite code has expired';
+  }
+  if (invite.max_uses !== null && invite.uses >= invite.max_uses) {
+    return 'Invite code has already been used';
+  }
+  if (invite.email && normalizeEmail(invite.email) !== email) {
+    return 'Invite code is not valid for this email';
+  }
+  if (email === adminEmail && !invite.email) {
+    return 'Invite code is not valid for this email';
+  }
+  return null;
+}
+
+// Reserves one use of the invite. The conditional update guards against two
+// registrations racing for the last use.
+async function claimInvite(env, code, email) {
+  const invite = await env.DB.prepare(
+    `SELECT *, (expires_at IS NOT NULL AND datetime(expires_at) <= CURRENT_TIMESTAMP) AS expired
+     FROM invites WHERE code = ?`
+  ).bind(code).first();
+
+  const error = checkInvite(invite, email, normalizeEmail(env.ADMIN_EMAIL));
+  if (error) {
+    return { error };
+  }
+
+  const result = await env.DB.prepare(
+    `UPDATE invites SET uses = uses + 1
+     WHERE code = ? AND (max_uses IS NULL OR uses < max_uses)`
+  ).bind(code).run();
+
+  if (result.meta.changes !== 1) {
+    return { error: 'Invite code has already been used' };
+  }
+
+  return { invite };
+}
+
+async function releaseInvite(env, code) {
+  await env.DB.prepare(
+    'UPDATE invites SET uses = uses - 1 WHERE code = ? AND uses > 0'
+  ).bind(code).run();
+}
+
+// Sessions (for basic auth only)
+// Access tokens are short-lived JWTs carrying the session id (sid). Refresh
+// tokens look like <sessionId>.<secret> and are rotated on every use.
+const ACCESS_TOKEN_TTL = 15 * 60; // 15 minutes
+const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60; // 30 days
+
+function randomToken(byteLength = 32) {
+  const bytes = crypto.getRandomValues(new Uint8Array(byteLength));
+  return bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+async function sha256Hex(value) {
+  const hash = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return Array.from(new Uint8Array(hash))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+async function isSessionActive(env, sessionId) {
+  const session = await env.DB.prepare(
+    `SELECT id FROM sessions
+     WHERE id = ? AND revoked_at IS NULL AND datetime(expires_at) > CURRENT_TIMESTAMP`
+  ).bind(sessionId).first();
+  return Boolean(session);
+}
+
+async function signAccessToken(authProvider, user, sessionId) {
+  return authProvider.generateJWT({
+    userId: user.id,
+    email: user.email,
+    sid: sessionId,
+    exp: Math.floor(Date.now() / 1000) + ACCESS_TOKEN_TTL
+  });
+}
+
+// Starts a session and returns the token pair handed to the frontend
+async function createSession(env, authProvider, user, request) {
+  const sessionId = randomToken(16);
+  const secret = randomToken();
+
+  await env.DB.prepare(
+    `INSERT INTO sessions (id, user_id, refresh_token_hash, user_agent, expires_at)
+     VALUES (?, ?, ?, ?, datetime('now', ?))`
+  ).bind(
+    sessionId,
+    user.id,
+    await sha256Hex(secret),
+    request.headers.get('User-Agent'),
+    `+${REFRESH_TOKEN_TTL} seconds`
+  ).run();
+
+  return {
+    token: await signAccessToken(authProvider, user, sessionId),
+    refreshToken: `${sessionId}.${secret}`,
+    expiresIn: ACCESS_TOKEN_TTL,
+    user: { email: user.email }
+  };
+}
+
+// Exchanges a refresh token for a new token pair, returned with the session's
+// user. Presenting an already rotated token means it leaked, so the whole
+// session is revoked.
+async function rotateSession(env, authProvider, refreshToken) {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret) {
+    return null;
+  }
+
+  const session = await env.DB.prepare(
+    `SELECT sessions.*, users.email FROM sessions
+     JOIN users ON users.id = sessions.user_id
+     WHERE sessions.id = ? AND sessions.revoked_at IS NULL AND users.disabled_at IS NULL
+       AND datetime(sessions.expires_at) > CURRENT_TIMESTAMP`
+  ).bind(sessionId).first();
+
+  if (!session) {
+    return null;
+  }
+
+  const presentedHash = await sha256Hex(secret);
+  const newSecret = randomToken();
+  const result = await env.DB.prepare(
+    `UPDATE sessions
+     SET refresh_token_hash = ?, last_used_at = CURRENT_TIMESTAMP, expires_at = datetime('now', ?)
+     WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL`
+  ).bind(await sha256Hex(newSecret), `+${REFRESH_TOKEN_TTL} seconds`, sessionId, presentedHash).run();
+
+  if (result.meta.changes !== 1) {
+    await revokeSession(env, sessionId);
+    return null;
+  }
+
+  const user = { id: session.user_id, email: session.email };
+  return {
+    user,
+    tokens: {
+      token: await signAccessToken(authProvider, user, sessionId),
+      refreshToken: `${sessionId}.${newSecret}`,
+      expiresIn: ACCESS_TOKEN_TTL,
+      user: { email: user.email }
+    }
+  };
+}
+
+async function revokeSession(env, sessionId) {
+  await env.DB.prepare(
+    'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL'
+  ).bind(sessionId).run();
+}
+
+async function revokeUserSessions(env, userId) {
+  await env.DB.prepare(
+    'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL'
+  ).bind(userId).run();
+}
+
+// Password reset links (for basic auth only). Links the admin hands out last
+// a day; emailed ones from /api/password/forgot only an hour.
+const PASSWORD_RESET_TTL = 24 * 60 * 60; // 24 hours
+const FORGOT_PASSWORD_TTL = 60 * 60; // 1 hour
+const FORGOT_PASSWORD_LIMIT = 3; // emailed links per friend per hour
+
+// The API is served from api.<domain>; links point at the site itself
+function getSiteUrl(env, url) {
+  return env.SITE_URL || `${url.protocol}//${url.host.replace(/^api\./, '')}`;
+}
+
+async function createPasswordResetLink(env, url, userId, ttl = PASSWORD_RESET_TTL) {
+  const token = randomToken();
+  const reset = await env.DB.prepare(
+    `INSERT INTO password_resets (token_hash, user_id, expires_at)
+     VALUES (?, ?, datetime('now', ?))
+     RETURNING expires_at`
+  ).bind(await sha256Hex(token), userId, `+${ttl} seconds`).first();
+
+  return {
+    resetUrl: `${getSiteUrl(env, url)}/?reset=${token}`,
+    expiresAt: reset.expires_at
+  };
+}
+
+// Marks the reset token used and returns its user id, or null if the token is
+// unknown, expired or already spent
+async function consumePasswordReset(env, token) {
+  const reset = await env.DB.prepare(
+    `UPDATE password_resets SET used_at = CURRENT_TIMESTAMP
+     WHERE token_hash = ? AND used_at IS NULL AND datetime(expires_at) > CURRENT_TIMESTAMP
+     RETURNING user_id`
+  ).bind(await sha256Hex(String(token || ''))).first();
+  return reset ? reset.user_id : null;
+}
+
+async function countRecentPasswordResets(env, userId) {
+  const row = await env.DB.prepare(
+    `SELECT COUNT(*) AS sent FROM password_resets
+     WHERE user_id = ? AND created_at > datetime('now', ?)`
+  ).bind(userId, `-${FORGOT_PASSWORD_TTL} seconds`).first();
+  return row.sent;
+}
+
+// Magic sign-in links (for basic auth only). Emailed, single use and stored
+// hashed like reset links; capped per friend so the form can't flood an inbox.
+const MAGIC_LINK_TTL = 15 * 60; // 15 minutes
+const MAGIC_LINK_LIMIT = 3; // links per friend per MAGIC_LINK_TTL
+
+async function createMagicLink(env, url, userId) {
+  const token = randomToken();
+  await env.DB.prepare(
+    `INSERT INTO magic_links (token_hash, user_id, expires_at)
+     VALUES (?, ?, datetime('now', ?))`
+  ).bind(await sha256Hex(token), userId, `+${MAGIC_LINK_TTL} seconds`).run();
+
+  return `${getSiteUrl(env, url)}/?magic=${token}`;
+}
+
+async function countRecentMagicLinks(env, userId) {
+  const row = await env.DB.prepare(
+    `SELECT COUNT(*) AS sent FROM magic_links
+     WHERE user_id = ? AND created_at > datetime('now', ?)`
+  ).bind(userId, `-${MAGIC_LINK_TTL} seconds`).first();
+  return row.sent;
+}
+
+// Marks the link used and returns its user id, or null if the token is
+// unknown, expired or already spent
+async function consumeMagicLink(env, token) {
+  const link = await env.DB.prepare(
+    `UPDATE magic_links SET used_at = CURRENT_TIMESTAMP
+     WHERE token_hash = ? AND used_at IS NULL AND datetime(expires_at) > CURRENT_TIMESTAMP
+     RETURNING user_id`
+  ).bind(await sha256Hex(String(token || ''))).first();
+  return link ? link.user_id : null;
+}
+
+// Plain-text mail carrying a single-use link
+function linkMessage(user, { subject, action, link, ttl }) {
+  return {
+    to: user.email,
+    subject,
+    text: [
+      `Hi ${user.display_name || user.email},`,
+      '',
+      `Use this link to ${action}. It works once and expires in ${ttl / 60} minutes:`,
+      '',
+      link,
+      '',
+      "If you didn't ask for it, you can ignore this email."
+    ].join('\n')
+  };
+}
+
+// Two-factor authentication (for basic auth only). TOTP as in RFC 6238:
+// HMAC-SHA1, 6 digits, 30 second steps, allowing one step of clock drift.
+// A code's step is remembered so it can't be replayed.
+const TOTP_STEP = 30;
+const TOTP_DIGITS = 6;
+const TOTP_DRIFT_STEPS = 1;
+const TOTP_ISSUER = 'Resume';
+const MFA_CHALLENGE_TTL = 5 * 60; // 5 minutes
+const MFA_CHALLENGE_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(bytes) {
+  let output = '';
+  let value = 0;
+  let bits = 0;
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(str) {
+  const bytes = [];
+  let value = 0;
+  let bits = 0;
+  for (const char of str.replace(/[\s=]/g, '').toUpperCase()) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return new Uint8Array(bytes);
+}
+
+async function totpCode(secret, step) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    base32Decode(secret),
+    { name: 'HMAC', hash: 'SHA-1' },
+    false,
+    ['sign']
+  );
+  const counter = new DataView(new ArrayBuffer(8));
+  counter.setBigUint64(0, BigInt(step));
+  const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, counter.buffer));
+
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3];
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+// Returns the time step the code belongs to, or null. Steps at or before
+// lastUsedStep are refused.
+async function verifyTotp(secret, code, lastUsedStep) {
+  const encoder = new TextEncoder();
+  const current = Math.floor(Date.now() / 1000 / TOTP_STEP);
+  for (let step = current - TOTP_DRIFT_STEPS; step <= current + TOTP_DRIFT_STEPS; step++) {
+    if (lastUsedStep != null && step <= lastUsedStep) {
+      continue;
+    }
+    if (timingSafeEqual(encoder.encode(await totpCode(secret, step)), encoder.encode(code))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+function totpProvisioningUri(secret, email) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP)
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+// Recovery codes look like ABCDE-FGHIJ; only their hashes are stored
+function normalizeRecoveryCode(code) {
+  return code.replace(/[\s-]/g, '').toUpperCase();
+}
+
+async function replaceRecoveryCodes(env, userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = base32Encode(crypto.getRandomValues(new Uint8Array(7))).slice(0, 10);
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+  await env.DB.batch([
+    env.DB.prepare('DELETE FROM mfa_recovery_codes WHERE user_id = ?').bind(userId),
+    ...await Promise.all(codes.map(async code => env.DB.prepare(
+      'INSERT INTO mfa_recovery_codes (user_id, code_hash) VALUES (?, ?)'
+    ).bind(userId, await sha256Hex(normalizeRecoveryCode(code)))))
+  ]);
+  return codes;
+}
+
+async function getUserMfa(env, userId) {
+  return env.DB.prepare('SELECT * FROM user_mfa WHERE user_id = ?').bind(userId).first();
+}
+
+// Checks a TOTP code or an unused recovery code against an enabled second
+// factor and uses it up. Returns 'totp', 'recovery' or null.
+async function verifySecondFactor(env, mfa, code) {
+  const input = String(code || '').trim();
+
+  if (/^\d+$/.test(input)) {
+    const step = await verifyTotp(mfa.secret, input, mfa.last_used_step);
+    if (step == null) {
+      return null;
+    }
+    // Conditional so two requests can't both spend the same code
+    const result = await env.DB.prepare(
+      `UPDATE user_mfa SET last_used_step = ?
+       WHERE user_id = ? AND (last_used_step IS NULL OR last_used_step < ?)`
+    ).bind(step, mfa.user_id, step).run();
+    return result.meta.changes === 1 ? 'totp' : null;
+  }
+
+  const result = await env.DB.prepare(
+    `UPDATE mfa_recovery_codes SET used_at = CURRENT_TIMESTAMP
+     WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`
+  ).bind(mfa.user_id, await sha256Hex(normalizeRecoveryCode(input))).run();
+  return result.meta.changes === 1 ? 'recovery' : null;
+}
+
+async function createMfaChallenge(env, userId) {
+  const token = randomToken();
+  await env.DB.prepare(
+    `INSERT INTO mfa_challenges (token_hash, user_id, expires_at)
+     VALUES (?, ?, datetime('now', ?))`
+  ).bind(await sha256Hex(token), userId, `+${MFA_CHALLENGE_TTL} seconds`).run();
+  return token;
+}
+
+// Counts an attempt against the challenge and returns its user id, or null
+// once the challenge is unknown, expired or out of attempts
+async function useMfaChallenge(env, token) {
+  const challenge = await env.DB.prepare(
+    `UPDATE mfa_challenges SET attempts = attempts + 1
+     WHERE token_hash = ? AND attempts < ? AND datetime(expires_at) > CURRENT_TIMESTAMP
+     RETURNING user_id`
+  ).bind(await sha256Hex(String(token || '')), MFA_CHALLENGE_ATTEMPTS).first();
+  return challenge ? challenge.user_id : null;
+}
+
+// Passkeys (for basic auth only). Ceremony checks live in webauthn.js; this
+// keeps the challenges and credentials in D1. Passkeys belong to the site the
+// login modal runs on, not to the api. host.
+const WEBAUTHN_CHALLENGE_TTL = 5 * 60; // 5 minutes
+const PASSKEY_RP_NAME = 'Resume';
+
+function getRelyingParty(env, url) {
+  const origin = getSiteUrl(env, url);
+  return { origin, rpId: new URL(origin).hostname };
+}
+
+// The WebAuthn user handle; an opaque id rather than the email
+function passkeyUserHandle(userId) {
+  return bytesToBase64Url(new TextEncoder().encode(String(userId)));
+}
+
+async function createWebAuthnChallenge(env, purpose, userId = null) {
+  const challenge = bytesToBase64Url(crypto.getRandomValues(new Uint8Array(32)));
+  await env.DB.batch([
+    env.DB.prepare('DELETE FROM webauthn_challenges WHERE datetime(expires_at) <= CURRENT_TIMESTAMP'),
+    env.DB.prepare(
+      `INSERT INTO webauthn_challenges (challenge, purpose, user_id, expires_at)
+       VALUES (?, ?, ?, datetime('now', ?))`
+    ).bind(challenge, purpose, userId, `+${WEBAUTHN_CHALLENGE_TTL} seconds`)
+  ]);
+  return challenge;
+}
+
+// Challenges are single use: returns the row (with its user_id) or null if
+// the challenge is unknown, expired or already spent
+async function consumeWebAuthnChallenge(env, challenge, purpose) {
+  return env.DB.prepare(
+    `DELETE FROM webauthn_challenges
+     WHERE challenge = ? AND purpose = ? AND datetime(expires_at) > CURRENT_TIMESTAMP
+     RETURNING user_id`
+  ).bind(String(challenge || ''), purpose).first();
+}
+
+// Login throttling (for basic auth only). Failed attempts are counted per
+// client IP and, for logins, per email since the last successful login. Once
+// a limit is reached further attempts are refused until the oldest counted
+// failure leaves the window.
+const AUTH_ATTEMPT_WINDOW = 15 * 60; // 15 minutes
+const AUTH_ATTEMPT_LIMITS = {
+  login: { email: 5, ip: 20 },
+  register: { ip: 10 },
+  password: { ip: 10 }
+};
+
+function clientIp(request) {
+  return request.headers.get('CF-Connecting-IP') || 'unknown';
+}
+
+async function recordAuthAttempt(env, action, request, email, outcome) {
+  await env.DB.prepare(
+    'INSERT INTO auth_attempts (action, email, ip, outcome, user_agent) VALUES (?, ?, ?, ?, ?)'
+  ).bind(action, normalizeEmail(email), clientIp(request), outcome, request.headers.get('User-Agent')).run();
+}
+
+// Seconds until the limit-th most recent failure leaves the window, or 0 if
+// fewer than `limit` failures are in it
+async function secondsUntilUnlocked(env, where, params, limit) {
+  const row = await env.DB.prepare(
+    `SELECT created_at FROM auth_attempts
+     WHERE ${where} AND outcome = 'failure' AND created_at > datetime('now', ?)
+     ORDER BY created_at DESC
+     LIMIT 1 OFFSET ?`
+  ).bind(...params, `-${AUTH_ATTEMPT_WINDOW} seconds`, limit - 1).first();
+
+  if (!row) {
+    return 0;
+  }
+  const failedAt = Date.parse(`${row.created_at.replace(' ', 'T')}Z`) / 1000;
+  return Math.max(1, Math.ceil(failedAt + AUTH_ATTEMPT_WINDOW - Date.now() / 1000));
+}
+
+// Returns the Retry-After in seconds for a locked out caller, or 0
+async function getAuthLockout(env, action, request, email) {
+  const limits = AUTH_ATTEMPT_LIMITS[action];
+  const checks = [
+    secondsUntilUnlocked(env, 'action = ? AND ip = ?', [action, clientIp(request)], limits.ip)
+  ];
+
+  const normalized = normalizeEmail(email);
+  if (limits.email && normalized) {
+    checks.push(secondsUntilUnlocked(
+      env,
+      `action = ? AND email = ? AND created_at > COALESCE((
+         SELECT MAX(created_at) FROM auth_attempts
+         WHERE action = ? AND email = ? AND outcome = 'success'
+       ), '')`,
+      [action, normalized, action, normalized],
+      limits.email
+    ));
+  }
+
+  return Math.max(...await Promise.all(checks));
+}
+
+// Access log. An append-only record of logins, token refreshes, photo views
+// and document downloads; nothing in the API updates or deletes its rows.
+// user_id is the same id signed media URLs carry (see mediaUrlUser).
+const ACCESS_LOG_COLUMNS = ['created_at', 'event', 'outcome', 'user_id', 'email', 'object_key', 'ip', 'country', 'user_agent'];
+const ACCESS_LOG_MAX_ROWS = 10000;
+
+async function writeAccessLog(env, request, { event, outcome, userId, email, objectKey }) {
+  await env.DB.prepare(
+    `INSERT INTO access_log (event, outcome, user_id, email, object_key, ip, country, user_agent)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+  ).bind(
+    event,
+    outcome,
+    userId == null ? null : String(userId),
+    normalizeEmail(email),
+    objectKey || null,
+    clientIp(request),
+    request.cf?.country || null,
+    request.headers.get('User-Agent')
+  ).run();
+}
+
+// Who made the request: the authenticated user, the signer of a media URL or,
+// for failed logins, the email that was tried
+async function describeActor(c) {
+  const user = c.state.user;
+  if (!user) {
+    return { email: c.body?.email };
+  }
+  if (!user.signedUrl) {
+    return { userId: mediaUrlUser(user), email: user.email };
+  }
+
+  // verifySignedMediaUser looks up the email of basic-auth signers
+  return { userId: user.uid, email: user.email || null };
+}
+
+function csvCell(value) {
+  let text = value == null ? '' : String(value);
+  // Keep spreadsheets from evaluating attacker-controlled cells as formulas
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows, columns) {
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(cells => cells.map(csvCell).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+// Uploads (admin only). Mirrors the multer limits and fileFilter in
+// aws-version/app/server.js.
+const UPLOAD_MAX_BYTES = 10 * 1024 * 1024; // 10MB
+
+// Allowed extensions and the one content type each may be uploaded with. The
+// stored type is served back, so it has to be one of these exactly.
+const UPLOAD_ALLOWED_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  pdf: 'application/pdf',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  txt: 'text/plain'
+};
+
+const UPLOAD_TARGETS = {
+  photo: { field: 'photo', prefix: 'photos/', label: 'Photo' },
+  document: { field: 'document', prefix: 'documents/', label: 'Document' }
+};
+
+// Keeps keys readable while stripping path separators, quotes and the like
+function safeObjectName(filename) {
+  const name = filename
+    .split(/[\\/]/).pop()
+    .replace(/[^A-Za-z0-9._-]+/g, '-')
+    .replace(/^[-.]+/, '')
+    .slice(-100);
+  return name || 'upload';
+}
+
+function validateUpload(file, kind) {
+  if (!(file instanceof File)) {
+    throw new HttpError(400, 'No file uploaded');
+  }
+  if (file.size > UPLOAD_MAX_BYTES) {
+    throw new HttpError(413, 'File too large');
+  }
+
+  const extname = file.name.includes('.') ? file.name.split('.').pop().toLowerCase() : '';
+  const mimetype = Object.hasOwn(UPLOAD_ALLOWED_TYPES, extname) ? UPLOAD_ALLOWED_TYPES[extname] : null;
+  if (!mimetype || file.type !== mimetype || (kind === 'photo' && !mimetype.startsWith('image/'))) {
+    throw new HttpError(415, 'Invalid file type');
+  }
+}
+
+// Conditional and ranged reads. R2 evaluates If-None-Match, If-Modified-Since
+// and Range directly from the request headers.
+async function getObjectForRequest(env, key, request) {
+  try {
+    return await env.BUCKET.get(key, { onlyIf: request.headers, range: request.headers });
+  } catch (error) {
+    // R2 rejects ranges that start past the end of the object
+    const head = request.headers.has('Range') && await env.BUCKET.head(key);
+    if (!head) {
+      throw error;
+    }
+    return { unsatisfiableRange: true, size: head.size };
+  }
+}
+
+function resolveRange(range, size) {
+  if ('suffix' in range) {
+    const length = Math.min(range.suffix, size);
+    return { offset: size - length, length };
+  }
+  const offset = range.offset || 0;
+  return { offset, length: range.length ?? size - offset };
+}
+
+// Builds the 200/206/304/412/416 response for an object read with
+// getObjectForRequest. `headers` holds defaults the stored metadata may
+// override; `overrides` always wins. Browsers never sniff a different type.
+function objectResponse(request, object, headers, overrides = {}) {
+  const responseHeaders = new Headers(headers);
+
+  if (object.unsatisfiableRange) {
+    responseHeaders.set('Content-Range', `bytes */${object.size}`);
+    return new Response(null, { status: 416, headers: responseHeaders });
+  }
+
+  object.writeHttpMetadata(responseHeaders);
+  for (const [name, value] of Object.entries(overrides)) {
+    responseHeaders.set(name, value);
+  }
+  responseHeaders.set('ETag', object.httpEtag);
+  responseHeaders.set('Last-Modified', object.uploaded.toUTCString());
+  responseHeaders.set('Accept-Ranges', 'bytes');
+  responseHeaders.set('X-Content-Type-Options', 'nosniff');
+
+  // R2 leaves out the body when a precondition fails
+  if (!('body' in object)) {
+    const notModified = request.headers.has('If-None-Match') || request.headers.has('If-Modified-Since');
+    return new Response(null, { status: notModified ? 304 : 412, headers: responseHeaders });
+  }
+
+  if (object.range && request.headers.has('Range')) {
+    const { offset, length } = resolveRange(object.range, object.size);
+    responseHeaders.set('Content-Range', `bytes ${offset}-${offset + length - 1}/${object.size}`);
+    responseHeaders.set('Content-Length', String(length));
+    return new Response(object.body, { status: 206, headers: responseHeaders });
+  }
+
+  responseHeaders.set('Content-Length', String(object.size));
+  return new Response(object.body, { headers: responseHeaders });
+}
+
+// Photo variants. Resized copies are made with the Images binding on first
+// request (or right after upload) and cached in R2 under thumbs/<size>/.
+const PHOTO_VARIANTS = {
+  thumb: { width: 320 },
+  medium: { width: 1280 }
+};
+
+function photoVariantKey(key, size) {
+  return `thumbs/${size}/${key}`;
+}
+
+async function createPhotoVariant(env, key, size) {
+  const original = await env.BUCKET.get(key);
+  if (!original) {
+    return null;
+  }
+
+  const output = await env.IMAGES
+    .input(original.body)
+    .transform({ width: PHOTO_VARIANTS[size].width, fit: 'scale-down' })
+    .output({ format: 'image/webp', quality: 80 });
+
+  return env.BUCKET.put(photoVariantKey(key, size), await output.response().arrayBuffer(), {
+    httpMetadata: { contentType: 'image/webp' }
+  });
+}
+
+async function createPhotoVariants(env, key) {
+  if (!env.IMAGES) {
+    return;
+  }
+  await Promise.all(Object.keys(PHOTO_VARIANTS).map(size => createPhotoVariant(env, key, size)));
+}
+
+// Falls back to the original when the Images binding is not configured
+async function getPhotoVariant(env, key, size, request) {
+  const variantKey = photoVariantKey(key, size);
+
+  if (!(await env.BUCKET.head(variantKey))) {
+    if (!env.IMAGES) {
+      return getObjectForRequest(env, key, request);
+    }
+    if (!(await createPhotoVariant(env, key, size))) {
+      return null;
+    }
+  }
+  return getObjectForRequest(env, variantKey, request);
+}
+
+function photoVariantUrls(url) {
+  const separator = url.includes('?') ? '&' : '?';
+  return Object.fromEntries(
+    Object.keys(PHOTO_VARIANTS).map(size => [size, `${url}${separator}size=${size}`])
+  );
+}
+
+// Photo metadata: albums, captions, taken-at dates and tags, stored in D1
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
+
+async function loadPhotoMetadata(env) {
+  const [{ results: rows }, { results: tags }] = await env.DB.batch([
+    env.DB.prepare('SELECT key, album, caption, taken_at FROM photo_metadata'),
+    env.DB.prepare('SELECT key, tag FROM photo_tags ORDER BY tag')
+  ]);
+
+  const metadata = new Map(rows.map(row => [row.key, {
+    album: row.album,
+    caption: row.caption,
+    takenAt: row.taken_at,
+    tags: []
+  }]));
+
+  for (const { key, tag } of tags) {
+    if (!metadata.has(key)) {
+      metadata.set(key, { album: null, caption: null, takenAt: null, tags: [] });
+    }
+    metadata.get(key).tags.push(tag);
+  }
+  return metadata;
+}
+
+// Shared by uploads and metadata edits, so both store only parseable dates
+function validateTakenAt(takenAt) {
+  if (takenAt && isNaN(Date.parse(takenAt))) {
+    throw new HttpError(400, 'takenAt must be a date');
+  }
+}
+
+async function savePhotoMetadata(env, key, { album, caption, takenAt, tags }) {
+  const statements = [
+    env.DB.prepare(
+      `INSERT INTO photo_metadata (key, album, caption, taken_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT (key) DO UPDATE SET
+         album = excluded.album,
+         caption = excluded.caption,
+         taken_at = excluded.taken_at,
+         updated_at = CURRENT_TIMESTAMP`
+    ).bind(key, album || null, caption || null, takenAt || null),
+    env.DB.prepare('DELETE FROM photo_tags WHERE key = ?').bind(key),
+    ...normalizeTags(tags).map(tag =>
+      env.DB.prepare('INSERT INTO photo_tags (key, tag) VALUES (?, ?)').bind(key, tag)
     )
-  `;
-  
-  await env.DB.prepare(createUsersTable).run();
+  ];
+  await env.DB.batch(statements);
+}
+
+// Album and tag summaries over the photos this user can see
+async function summarizePhotos(env, user, providerType) {
+  const [objects, metadata, canAccess] = await Promise.all([
+    listAllObjects(env, 'photos/'),
+    loadPhotoMetadata(env),
+    createMediaAccessCheck(env, user, providerType)
+  ]);
+
+  const albums = new Map();
+  const tags = new Map();
+
+  for (const obj of objects.filter(obj => canAccess(obj.key))) {
+    const meta = metadata.get(obj.key);
+    if (!meta) {
+      continue;
+    }
+    if (meta.album) {
+      const album = albums.get(meta.album) || { name: meta.album, count: 0, coverKey: obj.key };
+      album.count++;
+      albums.set(meta.album, album);
+    }
+    for (const tag of meta.tags) {
+      tags.set(tag, (tags.get(tag) || 0) + 1);
+    }
+  }
+
+  return {
+    albums: [...albums.values()].sort((a, b) => a.name.localeCompare(b.name)),
+    tags: [...tags.entries()].map(([tag, count]) => ({ tag, count })).sort((a, b) => b.count - a.count)
+  };
 }
 
 // Helper functions
 function getProviderFeatures(providerType) {
   const features = {
-    basic: ['simple', 'jwt-based'],
+    basic: ['simple', 'jwt-based', 'mfa', 'passkeys'],
     cognito: ['hosted-ui', 'mfa', 'social-login', 'user-pools'],
     okta: ['sso', 'adaptive-auth', 'social-login', 'enterprise'],
     keycloak: ['self-hosted', 'customizable', 'open-source', 'federation']
@@ -151,209 +1073,1347 @@ function checkUserAccess(user, providerType, authProvider) {
 }
 
 // Password hashing (for basic auth only)
+// Hashes are stored as pbkdf2-sha256$<iterations>$<salt>$<hash> (base64 parts).
+// Workers cap PBKDF2 at 100k iterations.
+const PASSWORD_HASH_ALGORITHM = 'pbkdf2-sha256';
+const PASSWORD_HASH_ITERATIONS = 100000;
+const PASSWORD_SALT_BYTES = 16;
+const PASSWORD_KEY_BYTES = 32;
+
+async function derivePasswordKey(password, salt, iterations) {
+  const keyMaterial = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(password),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    keyMaterial,
+    PASSWORD_KEY_BYTES * 8
+  );
+  return new Uint8Array(bits);
+}
+
 async function hashPassword(password) {
-  const encoder = new TextEncoder();
-  const data = encoder.encode(password);
-  const hash = await crypto.subtle.digest('SHA-256', data);
-  return Array.from(new Uint8Array(hash))
-    .map(b => b.toString(16).padStart(2, '0'))
-    .join('');
+  const salt = crypto.getRandomValues(new Uint8Array(PASSWORD_SALT_BYTES));
+  const key = await derivePasswordKey(password, salt, PASSWORD_HASH_ITERATIONS);
+  return [
+    PASSWORD_HASH_ALGORITHM,
+    PASSWORD_HASH_ITERATIONS,
+    bytesToBase64(salt),
+    bytesToBase64(key)
+  ].join('$');
 }
 
-export default {
-  async fetch(request, env, ctx) {
-    const url = new URL(request.url);
-    const path = url.pathname;
-    
-    // CORS headers
-    const corsHeaders = {
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    };
-    
-    if (request.method === 'OPTIONS') {
-      return new Response(null, { headers: corsHeaders });
+// Unsalted SHA-256 hex digests written before PBKDF2 was introduced
+async function legacyHashPassword(password) {
+  const hash = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(password));
+  return new Uint8Array(hash);
+}
+
+// Returns { valid, needsRehash }. needsRehash is set for legacy hashes and for
+// PBKDF2 hashes created with outdated parameters.
+async function verifyPassword(password, storedHash) {
+  if (/^[0-9a-f]{64}$/i.test(storedHash)) {
+    const expected = Uint8Array.from(storedHash.match(/../g), byte => parseInt(byte, 16));
+    const valid = timingSafeEqual(await legacyHashPassword(password), expected);
+    return { valid, needsRehash: valid };
+  }
+
+  const [algorithm, iterationsStr, saltB64, keyB64] = storedHash.split('$');
+  const iterations = parseInt(iterationsStr, 10);
+  if (algorithm !== PASSWORD_HASH_ALGORITHM || !iterations || !saltB64 || !keyB64) {
+    return { valid: false, needsRehash: false };
+  }
+
+  const expected = base64ToBytes(keyB64);
+  const key = await derivePasswordKey(password, base64ToBytes(saltB64), iterations);
+  const valid = timingSafeEqual(key, expected);
+  return { valid, needsRehash: valid && iterations !== PASSWORD_HASH_ITERATIONS };
+}
+
+// Middleware
+
+// Resolves the configured auth provider
+function withAuthProvider(c, next) {
+  try {
+    c.state.authConfig = AuthProviderFactory.create(c.env);
+  } catch (error) {
+    console.error(error.message);
+    throw new HttpError(500, 'Authentication is misconfigured');
+  }
+  c.state.authProvider = c.state.authConfig.provider;
+  return next();
+}
+
+// Public routes that never touch D1 and keep working while migrations are pending
+const SCHEMALESS_ROUTES = new Set(['/api/auth/info', '/api/resume']);
+
+// Every other route needs the current schema (media ACLs live in D1 for
+// every provider)
+async function requireSchema(c, next) {
+  if (!SCHEMALESS_ROUTES.has(c.url.pathname) && !(await isSchemaCurrent(c.env))) {
+    throw new HttpError(503, 'Database migrations are pending');
+  }
+  return next();
+}
+
+// Login, registration and sessions only exist for basic auth
+function basicAuthOnly(c, next) {
+  if (c.state.authConfig.type !== 'basic') {
+    throw new HttpError(404, 'Not Found');
+  }
+  return next();
+}
+
+async function requireAuth(c, next) {
+  const authResult = await c.state.authProvider.authenticate(c.request, c.env);
+  if (!authResult.success) {
+    throw new HttpError(authResult.status, authResult.error);
+  }
+  c.state.user = authResult.user;
+  return next();
+}
+
+// Authenticated and in the provider's friends group
+function requireFriend(c, next) {
+  return requireAuth(c, () => {
+    const { user, authConfig, authProvider } = c.state;
+    if (!checkUserAccess(user, authConfig.type, authProvider)) {
+      throw new HttpError(403, 'Insufficient permissions');
     }
-    
-    // Initialize auth provider
-    const authConfig = AuthProviderFactory.create(env);
-    const authProvider = authConfig.provider;
-    
-    // Initialize database on first run (only for basic auth)
-    if (authConfig.type === 'basic') {
-      await initializeDatabase(env);
+    return next();
+  });
+}
+
+function requireAdmin(c, next) {
+  return requireAuth(c, () => {
+    if (!isAdmin(c.state.user, c.env)) {
+      throw new HttpError(403, 'Insufficient permissions');
     }
-    
+    return next();
+  });
+}
+
+// Friends only live in D1 for basic auth; external providers manage their
+// users in their own consoles
+function requireLocalUsers(c, next) {
+  const { type } = c.state.authConfig;
+  if (type !== 'basic') {
+    throw new HttpError(501, `Users are managed in ${type}, not through this API`);
+  }
+  return next();
+}
+
+// Direct media reads take either a signed URL or a bearer token, plus the
+// per-item ACL. Only keys under
+// the kind's prefix are served: variants are read through ?size= on the
+// original photos/ key, so ACL rules always see the key they were written for.
+function mediaAccess(kind) {
+  return async (c, next) => {
+    const key = c.params.key;
+    const { prefix, label } = UPLOAD_TARGETS[kind];
+
+    if (!key.startsWith(prefix)) {
+      throw new HttpError(404, `${label} not found`);
+    }
+
+    if (c.url.searchParams.has('sig')) {
+      c.state.user = await verifySignedMediaUser(c, kind, key);
+      return next();
+    }
+
+    return requireFriend(c, async () => {
+      const canAccess = await createMediaAccessCheck(c.env, c.state.user, c.state.authConfig.type);
+      if (!canAccess(key)) {
+        throw new HttpError(403, 'Insufficient permissions');
+      }
+      return next();
+    });
+  };
+}
+
+// A signed URL stands in for the bearer token, so basic-auth signers are
+// looked up again on every read: disabled or deleted friends lose access at
+// once, and the ACL is checked as it is now, not as it was when the listing
+// signed the URL. Other providers have no local user record; their URLs are
+// trusted until they expire.
+async function verifySignedMediaUser(c, kind, key) {
+  const { env } = c;
+  const uid = await verifyMediaUrl(env, kind, key, c.url.searchParams);
+  if (!uid) {
+    throw new HttpError(403, 'Invalid or expired link');
+  }
+  if (c.state.authConfig.type !== 'basic') {
+    return { uid, signedUrl: true };
+  }
+
+  // Basic-auth media URLs are signed with the numeric user id
+  const row = /^\d+$/.test(uid) && await env.DB.prepare(
+    'SELECT id, email FROM users WHERE id = ? AND disabled_at IS NULL'
+  ).bind(Number(uid)).first();
+  if (!row) {
+    throw new HttpError(403, 'Invalid or expired link');
+  }
+
+  const user = { uid, userId: row.id, email: row.email, signedUrl: true };
+  const canAccess = await createMediaAccessCheck(env, user, 'basic');
+  if (!canAccess(key)) {
+    throw new HttpError(403, 'Insufficient permissions');
+  }
+  return user;
+}
+
+async function refuseIfLockedOut(c, action, email) {
+  const { env, request } = c;
+  const retryAfter = await getAuthLockout(env, action, request, email);
+  if (retryAfter > 0) {
+    await recordAuthAttempt(env, action, request, email, 'locked');
+    throw new HttpError(
+      429,
+      `Too many failed attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+      { 'Retry-After': String(retryAfter) }
+    );
+  }
+}
+
+// Refuses locked out callers with 429 and records how each attempt went.
+// Runs after jsonBody() so the email is known.
+function throttle(action) {
+  return async (c, next) => {
+    const { env, request } = c;
+    c.state.throttle = { action, email: c.body.email };
+    await refuseIfLockedOut(c, action, c.body.email);
+
     try {
-      // Authentication endpoints (only for basic auth)
-      if (authConfig.type === 'basic' && path === '/api/login' && request.method === 'POST') {
-        const { email, password } = await request.json();
-        
-        // Get user from database
-        const user = await env.DB.prepare(
-          'SELECT * FROM users WHERE email = ?'
-        ).bind(email).first();
-        
-        if (!user) {
-          return new Response(JSON.stringify({ error: 'Invalid credentials' }), {
-            status: 401,
-            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-          });
-        }
-        
-        // Verify password
-        const passwordHash = await hashPassword(password);
-        if (passwordHash !== user.password_hash) {
-          return new Response(JSON.stringify({ error: 'Invalid credentials' }), {
-            status: 401,
-            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-          });
-        }
-        
-        // Generate JWT token
-        const token = await authProvider.generateJWT({
-          userId: user.id,
-          email: user.email,
-          exp: Math.floor(Date.now() / 1000) + (24 * 60 * 60) // 24 hours
-        });
-        
-        return new Response(JSON.stringify({ token, user: { email: user.email } }), {
-          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-        });
+      const response = await next();
+      await recordAuthAttempt(env, action, request, c.state.throttle.email, 'success');
+      return response;
+    } catch (error) {
+      // throttleAccount has already recorded its lockouts
+      if (error instanceof HttpError && error.status < 500 && error.status !== 429) {
+        await recordAuthAttempt(env, action, request, c.state.throttle.email, 'failure');
       }
-      
-      // Register endpoint (only for basic auth)
-      if (authConfig.type === 'basic' && path === '/api/register' && request.method === 'POST') {
-        const { email, password } = await request.json();
-        
-        // Hash password
-        const passwordHash = await hashPassword(password);
-        
-        try {
-          // Insert user
-          await env.DB.prepare(
-            'INSERT INTO users (email, password_hash) VALUES (?, ?)'
-          ).bind(email, passwordHash).run();
-          
-          return new Response(JSON.stringify({ message: 'User registered successfully' }), {
-            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-          });
-        } catch (error) {
-          return new Response(JSON.stringify({ error: 'User already exists' }), {
-            status: 400,
-            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-          });
-        }
+      throw error;
+    }
+  };
+}
+
+// Passkeys, magic links and second factors carry no email; their handlers
+// call this once they know the account, so its lockout applies to them too
+async function throttleAccount(c, email) {
+  c.state.throttle.email = email;
+  await refuseIfLockedOut(c, c.state.throttle.action, email);
+}
+
+// Logs the request to access_log once the handler has run. Client errors are
+// logged as failures; `skip` leaves out requests that aren't worth a row.
+function audit(event, { skip = () => false } = {}) {
+  return async (c, next) => {
+    if (skip(c)) {
+      return next();
+    }
+
+    // Handlers can refine the event, e.g. a login that still needs a second factor
+    const log = outcome => c.executionCtx.waitUntil(
+      describeActor(c)
+        .then(actor => writeAccessLog(c.env, c.request, {
+          event: c.state.auditEvent || event,
+          outcome,
+          objectKey: c.params.key,
+          ...actor
+        }))
+        .catch(error => console.error('Access log write failed:', error))
+    );
+
+    try {
+      const response = await next();
+      log('success');
+      return response;
+    } catch (error) {
+      if (error instanceof HttpError && error.status < 500) {
+        log('failure');
       }
+      throw error;
+    }
+  };
+}
+
+// Magic links and forgotten-password mail need somewhere to send it
+function requireMail(c, next) {
+  try {
+    c.state.mail = getMailTransport(c.env);
+  } catch (error) {
+    console.error(error.message);
+    throw new HttpError(500, 'Mail is misconfigured');
+  }
+  if (!c.state.mail) {
+    throw new HttpError(501, 'Email sign-in is not configured');
+  }
+  return next();
+}
 
-      // Auth provider info endpoint
-      if (path === '/api/auth/info' && request.method === 'GET') {
-        return new Response(JSON.stringify({ 
-          provider: authConfig.type,
-          features: getProviderFeatures(authConfig.type)
-        }), {
-          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-        });
+// Failed WebAuthn checks are the client's fault
+function webauthnErrors(status) {
+  return async (c, next) => {
+    try {
+      return await next();
+    } catch (error) {
+      if (error instanceof WebAuthnError) {
+        throw new HttpError(status, error.message);
       }
-      
-      // Protected content endpoints
-      if (path.startsWith('/api/protected/')) {
-        // Authenticate using the configured provider
-        const authResult = await authProvider.authenticate(request, env);
-        
-        if (!authResult.success) {
-          return new Response(JSON.stringify({ error: authResult.error }), {
-            status: authResult.status,
-            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-          });
-        }
+      throw error;
+    }
+  };
+}
 
-        const user = authResult.user;
+// Resized variants fill the gallery grid (srcset picks thumb or medium by
+// screen density) while the lightbox opens the original, HEAD requests read
+// no content, and ranged reads past the first byte continue a download that
+// is already logged
+function isRoutineMediaRead(c) {
+  const range = c.request.headers.get('Range');
+  return c.request.method === 'HEAD' ||
+    c.url.searchParams.has('size') ||
+    Boolean(range && !/^bytes=0-/.test(range));
+}
 
-        // Check authorization based on provider type
-        const hasAccess = checkUserAccess(user, authConfig.type, authProvider);
-        
-        if (!hasAccess) {
-          return new Response(JSON.stringify({ error: 'Insufficient permissions' }), {
-            status: 403,
-            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-          });
-        }
-        
-        // Handle protected endpoints
-        if (path === '/api/protected/photos' && request.method === 'GET') {
-          // List photos from R2 bucket
-          const objects = await env.BUCKET.list({ prefix: 'photos/' });
-          const photos = objects.objects.map(obj => ({
-            name: obj.key,
-            url: `/api/protected/photo/${encodeURIComponent(obj.key)}`,
-            size: obj.size,
-            uploaded: obj.uploaded
-          }));
-          
-          return new Response(JSON.stringify(photos), {
-            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-          });
-        }
-        
-        if (path.startsWith('/api/protected/photo/') && request.method === 'GET') {
-          const photoKey = decodeURIComponent(path.substring('/api/protected/photo/'.length));
-          const object = await env.BUCKET.get(photoKey);
-          
-          if (!object) {
-            return new Response('Photo not found', { status: 404, headers: corsHeaders });
-          }
-          
-          return new Response(object.body, {
-            headers: {
-              ...corsHeaders,
-              'Content-Type': object.httpMetadata?.contentType || 'image/jpeg',
-              'Cache-Control': 'public, max-age=3600'
-            }
-          });
-        }
-        
-        if (path === '/api/protected/documents' && request.method === 'GET') {
-          // List documents from R2 bucket
-          const objects = await env.BUCKET.list({ prefix: 'documents/' });
-          const documents = objects.objects.map(obj => ({
-            name: obj.key.replace('documents/', ''),
-            url: `/api/protected/document/${encodeURIComponent(obj.key)}`,
-            size: obj.size,
-            uploaded: obj.uploaded
-          }));
-          
-          return new Response(JSON.stringify(documents), {
-            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-          });
-        }
-        
-        if (path.startsWith('/api/protected/document/') && request.method === 'GET') {
-          const docKey = decodeURIComponent(path.substring('/api/protected/document/'.length));
-          const object = await env.BUCKET.get(docKey);
-          
-          if (!object) {
-            return new Response('Document not found', { status: 404, headers: corsHeaders });
-          }
-          
-          return new Response(object.body, {
-            headers: {
-              ...corsHeaders,
-              'Content-Type': object.httpMetadata?.contentType || 'application/octet-stream',
-              'Content-Disposition': `attachment; filename="${docKey.split('/').pop()}"`
-            }
-          });
-        }
+// Authentication endpoints (only for basic auth)
+async function login(c) {
+  const { env } = c;
+  const email = normalizeEmail(c.body.email);
+  const { password } = c.body;
+
+  if (!email || !password) {
+    throw new HttpError(400, 'Email and password required');
+  }
+
+  // Get user from database
+  const user = await env.DB.prepare(
+    'SELECT * FROM users WHERE email = ?'
+  ).bind(email).first();
+
+  if (!user) {
+    throw new HttpError(401, 'Invalid credentials');
+  }
+
+  // Verify password
+  const { valid, needsRehash } = await verifyPassword(password, user.password_hash);
+  if (!valid) {
+    throw new HttpError(401, 'Invalid credentials');
+  }
+
+  if (user.disabled_at) {
+    throw new HttpError(403, 'Account disabled');
+  }
+
+  // Upgrade legacy hashes now that we know the plaintext
+  if (needsRehash) {
+    await env.DB.prepare(
+      'UPDATE users SET password_hash = ? WHERE id = ?'
+    ).bind(await hashPassword(password), user.id).run();
+  }
+
+  return completeFirstFactor(c, user);
+}
+
+// A password or magic link is the first factor. With two-factor enabled it
+// only earns a challenge for /api/login/mfa.
+async function completeFirstFactor(c, user) {
+  const mfa = await getUserMfa(c.env, user.id);
+  if (mfa?.enabled_at) {
+    c.state.auditEvent = 'login.challenge';
+    // Not signed in yet: a right password mustn't clear the account's
+    // failed codes, so only the second factor records the success
+    c.state.throttle.email = null;
+    return json({
+      mfaRequired: true,
+      challenge: await createMfaChallenge(c.env, user.id),
+      expiresIn: MFA_CHALLENGE_TTL
+    });
+  }
+
+  return completeLogin(c, user);
+}
+
+// Emails a sign-in link. The response is the same whether or not the email
+// belongs to a friend, and the mail goes out after it, so neither the body nor
+// the timing gives away who has an account.
+async function requestMagicLink(c) {
+  const { env, url } = c;
+  const email = normalizeEmail(c.body.email);
+
+  if (!email) {
+    throw new HttpError(400, 'Email required');
+  }
+
+  const user = await env.DB.prepare(
+    'SELECT id, email, display_name, disabled_at FROM users WHERE email = ?'
+  ).bind(email).first();
+
+  if (user && !user.disabled_at && await countRecentMagicLinks(env, user.id) < MAGIC_LINK_LIMIT) {
+    const link = await createMagicLink(env, url, user.id);
+    c.executionCtx.waitUntil(
+      c.state.mail.send(linkMessage(user, {
+        subject: 'Your sign-in link',
+        action: 'sign in',
+        link,
+        ttl: MAGIC_LINK_TTL
+      }))
+        .catch(error => console.error('Magic link email failed:', error))
+    );
+  }
+
+  return json({
+    message: 'If that email belongs to a friend, a sign-in link is on its way.',
+    expiresIn: MAGIC_LINK_TTL
+  });
+}
+
+// The token from a magic link; logs in like a password would
+async function loginMagic(c) {
+  const { env } = c;
+  c.state.auditEvent = 'login.magic';
+
+  if (!c.body.token) {
+    throw new HttpError(400, 'Token required');
+  }
+
+  const userId = await consumeMagicLink(env, c.body.token);
+  if (!userId) {
+    throw new HttpError(401, 'Invalid or expired sign-in link');
+  }
+
+  const user = await env.DB.prepare('SELECT * FROM users WHERE id = ?').bind(userId).first();
+  c.state.user = { userId: user.id, email: user.email };
+  await throttleAccount(c, user.email);
+  if (user.disabled_at) {
+    throw new HttpError(403, 'Account disabled');
+  }
+
+  // The link was mailed to the account's address, which proves it is theirs
+  await env.DB.prepare(
+    'UPDATE users SET email_verified_at = CURRENT_TIMESTAMP WHERE id = ? AND email_verified_at IS NULL'
+  ).bind(user.id).run();
+
+  return completeFirstFactor(c, user);
+}
+
+// Second login step: the challenge from /api/login plus a TOTP or recovery code
+async function loginMfa(c) {
+  const { env } = c;
+  const { challenge, code } = c.body;
+
+  if (!challenge || !code) {
+    throw new HttpError(400, 'Challenge and code required');
+  }
+
+  const userId = await useMfaChallenge(env, challenge);
+  if (!userId) {
+    throw new HttpError(400, 'Login expired. Please log in again.');
+  }
+
+  const user = await env.DB.prepare('SELECT * FROM users WHERE id = ?').bind(userId).first();
+  if (!user || user.disabled_at) {
+    throw new HttpError(403, 'Account disabled');
+  }
+  c.state.user = { userId: user.id, email: user.email };
+  await throttleAccount(c, user.email);
+
+  const mfa = await getUserMfa(env, user.id);
+  if (!mfa?.enabled_at || !(await verifySecondFactor(env, mfa, code))) {
+    throw new HttpError(401, 'Invalid code');
+  }
+
+  await env.DB.prepare('DELETE FROM mfa_challenges WHERE user_id = ?').bind(user.id).run();
+  return completeLogin(c, user);
+}
+
+async function passkeyLoginOptions(c) {
+  const { rpId } = getRelyingParty(c.env, c.url);
+  return json({
+    challenge: await createWebAuthnChallenge(c.env, 'login'),
+    rpId,
+    timeout: WEBAUTHN_CHALLENGE_TTL * 1000,
+    userVerification: 'required',
+    allowCredentials: []
+  });
+}
+
+// Passkey logins verify the user, so they skip the password and TOTP steps
+async function passkeyLogin(c) {
+  const { env, url } = c;
+  const { credential } = c.body;
+  c.state.auditEvent = 'login.passkey';
+
+  const { challenge } = parseClientData(credential);
+  if (!(await consumeWebAuthnChallenge(env, challenge, 'login'))) {
+    throw new HttpError(400, 'Passkey request expired. Please try again.');
+  }
+
+  const passkey = await env.DB.prepare('SELECT * FROM passkeys WHERE id = ?').bind(String(credential.id)).first();
+  if (!passkey) {
+    throw new HttpError(401, 'Unknown passkey');
+  }
+  const { userHandle } = credential.response;
+  if (userHandle && userHandle !== passkeyUserHandle(passkey.user_id)) {
+    throw new HttpError(401, 'Unknown passkey');
+  }
+
+  const user = await env.DB.prepare('SELECT * FROM users WHERE id = ?').bind(passkey.user_id).first();
+  c.state.user = { userId: user.id, email: user.email };
+  await throttleAccount(c, user.email);
+
+  const { signCount } = await verifyAuthentication(
+    credential,
+    { challenge, ...getRelyingParty(env, url) },
+    { publicKey: JSON.parse(passkey.public_key), algorithm: passkey.algorithm, signCount: passkey.sign_count }
+  );
+
+  if (user.disabled_at) {
+    throw new HttpError(403, 'Account disabled');
+  }
+
+  await env.DB.prepare(
+    'UPDATE passkeys SET sign_count = ?, last_used_at = CURRENT_TIMESTAMP WHERE id = ?'
+  ).bind(signCount, passkey.id).run();
+  return completeLogin(c, user);
+}
+
+async function completeLogin(c, user) {
+  const { env, request } = c;
+
+  await env.DB.prepare(
+    'UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?'
+  ).bind(user.id).run();
+  c.state.user = { userId: user.id, email: user.email };
+
+  // Start a session with a short-lived access token and a refresh token
+  return json(await createSession(env, c.state.authProvider, user, request));
+}
+
+async function refresh(c) {
+  const session = await rotateSession(c.env, c.state.authProvider, c.body.refreshToken);
+
+  if (!session) {
+    throw new HttpError(401, 'Invalid or expired refresh token');
+  }
+  c.state.user = { userId: session.user.id, email: session.user.email };
+  return json(session.tokens);
+}
+
+async function logout(c) {
+  const { env, request } = c;
+  const [sessionId, secret] = String(c.body.refreshToken || '').split('.');
+
+  if (sessionId && secret) {
+    await env.DB.prepare(
+      'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND refresh_token_hash = ?'
+    ).bind(sessionId, await sha256Hex(secret)).run();
+  } else {
+    // Fall back to the session of the presented access token
+    const authResult = await c.state.authProvider.authenticate(request, env);
+    if (authResult.success) {
+      await revokeSession(env, authResult.user.sid);
+    }
+  }
+
+  return json({ message: 'Logged out successfully' });
+}
+
+// Registration requires an invite code
+async function register(c) {
+  const { env } = c;
+  const email = normalizeEmail(c.body.email);
+  const { password, inviteCode, displayName } = c.body;
+
+  if (!email || !password) {
+    throw new HttpError(400, 'Email and password required');
+  }
+
+  if (!inviteCode) {
+    throw new HttpError(403, 'Invite code required');
+  }
+
+  const claim = await claimInvite(env, inviteCode, email);
+  if (claim.error) {
+    throw new HttpError(403, claim.error);
+  }
+
+  // Hash password
+  const passwordHash = await hashPassword(password);
+
+  let newUser;
+  try {
+    // Insert user; an invite bound to the email vouches for the address
+    newUser = await env.DB.prepare(
+      `INSERT INTO users (email, password_hash, display_name, email_verified_at)
+       VALUES (?, ?, ?, CASE WHEN ? THEN CURRENT_TIMESTAMP END) RETURNING id`
+    ).bind(email, passwordHash, displayName || null, claim.invite.email ? 1 : 0).first();
+  } catch (error) {
+    await releaseInvite(env, inviteCode);
+    if (isUniqueViolation(error)) {
+      throw new HttpError(400, 'User already exists');
+    }
+    throw error;
+  }
+
+  await env.DB.prepare(
+    'INSERT INTO invite_redemptions (invite_code, user_id) VALUES (?, ?)'
+  ).bind(inviteCode, newUser.id).run();
+
+  return json({ message: 'User registered successfully' });
+}
+
+async function resetPassword(c) {
+  const { env } = c;
+  const { token, password } = c.body;
+
+  if (!token || !password) {
+    throw new HttpError(400, 'Token and password required');
+  }
+
+  const userId = await consumePasswordReset(env, token);
+  if (!userId) {
+    throw new HttpError(400, 'Invalid or expired reset link');
+  }
+
+  await env.DB.prepare(
+    'UPDATE users SET password_hash = ? WHERE id = ?'
+  ).bind(await hashPassword(password), userId).run();
+  await revokeUserSessions(env, userId);
+
+  return json({ message: 'Password reset successfully' });
+}
+
+// Emails a reset link; like magic links, the answer doesn't reveal whether the
+// email has an account
+async function forgotPassword(c) {
+  const { env, url } = c;
+  const email = normalizeEmail(c.body.email);
+
+  if (!email) {
+    throw new HttpError(400, 'Email required');
+  }
+
+  const user = await env.DB.prepare(
+    'SELECT id, email, display_name, disabled_at FROM users WHERE email = ?'
+  ).bind(email).first();
+
+  if (user && !user.disabled_at && await countRecentPasswordResets(env, user.id) < FORGOT_PASSWORD_LIMIT) {
+    const { resetUrl } = await createPasswordResetLink(env, url, user.id, FORGOT_PASSWORD_TTL);
+    c.executionCtx.waitUntil(
+      c.state.mail.send(linkMessage(user, {
+        subject: 'Reset your password',
+        action: 'choose a new password',
+        link: resetUrl,
+        ttl: FORGOT_PASSWORD_TTL
+      }))
+        .catch(error => console.error('Password reset email failed:', error))
+    );
+  }
+
+  return json({ message: 'If that email belongs to a friend, a reset link is on its way.' });
+}
+
+// Changing the password signs out every other session and voids any reset
+// links still outstanding
+async function changePassword(c) {
+  const { env } = c;
+  const { userId, sid } = c.state.user;
+  const { currentPassword, newPassword } = c.body;
+
+  if (!currentPassword || !newPassword) {
+    throw new HttpError(400, 'Current and new password required');
+  }
+
+  const user = await env.DB.prepare('SELECT * FROM users WHERE id = ?').bind(userId).first();
+  if (!user) {
+    throw new HttpError(401, 'Invalid or expired token');
+  }
+
+  const { valid } = await verifyPassword(currentPassword, user.password_hash);
+  if (!valid) {
+    throw new HttpError(403, 'Current password is incorrect');
+  }
+
+  const [, revoked] = await env.DB.batch([
+    env.DB.prepare('UPDATE users SET password_hash = ? WHERE id = ?').bind(await hashPassword(newPassword), userId),
+    env.DB.prepare(
+      'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND id != ? AND revoked_at IS NULL'
+    ).bind(userId, sid),
+    env.DB.prepare(
+      'UPDATE password_resets SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL'
+    ).bind(userId)
+  ]);
+
+  return json({ message: 'Password changed successfully', revokedSessions: revoked.meta.changes });
+}
+
+// Two-factor enrollment for the signed-in friend
+async function mfaStatus(c) {
+  const { env } = c;
+  const userId = c.state.user.userId;
+  const mfa = await getUserMfa(env, userId);
+  const codes = await env.DB.prepare(
+    'SELECT COUNT(*) AS remaining FROM mfa_recovery_codes WHERE user_id = ? AND used_at IS NULL'
+  ).bind(userId).first();
+
+  return json({
+    enabled: Boolean(mfa?.enabled_at),
+    enabledAt: mfa?.enabled_at || null,
+    recoveryCodesRemaining: mfa?.enabled_at ? codes.remaining : 0
+  });
+}
+
+// Starts (or restarts) enrollment with a new secret; nothing changes for
+// logins until /api/mfa/verify confirms a code from it
+async function setupMfa(c) {
+  const { env } = c;
+  const { userId, email } = c.state.user;
+
+  const existing = await getUserMfa(env, userId);
+  if (existing?.enabled_at) {
+    throw new HttpError(409, 'Two-factor authentication is already enabled');
+  }
+
+  const secret = base32Encode(crypto.getRandomValues(new Uint8Array(20)));
+  await env.DB.prepare(
+    `INSERT INTO user_mfa (user_id, secret) VALUES (?, ?)
+     ON CONFLICT (user_id) DO UPDATE SET secret = excluded.secret, last_used_step = NULL, created_at = CURRENT_TIMESTAMP`
+  ).bind(userId, secret).run();
+
+  return json({ secret, otpauthUrl: totpProvisioningUri(secret, email) });
+}
+
+// Confirms the authenticator app works, enables two-factor and returns the
+// recovery codes. They are only ever shown here.
+async function verifyMfa(c) {
+  const { env } = c;
+  const userId = c.state.user.userId;
+  const code = String(c.body.code || '').trim();
+
+  const mfa = await getUserMfa(env, userId);
+  if (!mfa) {
+    throw new HttpError(400, 'Start with /api/mfa/setup');
+  }
+  if (mfa.enabled_at) {
+    throw new HttpError(409, 'Two-factor authentication is already enabled');
+  }
+
+  const step = await verifyTotp(mfa.secret, code, null);
+  if (step == null) {
+    throw new HttpError(401, 'Invalid code');
+  }
+
+  await env.DB.prepare(
+    'UPDATE user_mfa SET enabled_at = CURRENT_TIMESTAMP, last_used_step = ? WHERE user_id = ?'
+  ).bind(step, userId).run();
+  const recoveryCodes = await replaceRecoveryCodes(env, userId);
+
+  return json({ message: 'Two-factor authentication enabled', recoveryCodes });
+}
+
+// Disabling and new recovery codes both take a current code
+async function requireSecondFactor(c, next) {
+  const mfa = await getUserMfa(c.env, c.state.user.userId);
+  if (!mfa?.enabled_at) {
+    throw new HttpError(400, 'Two-factor authentication is not enabled');
+  }
+  if (!(await verifySecondFactor(c.env, mfa, c.body.code))) {
+    throw new HttpError(401, 'Invalid code');
+  }
+  return next();
+}
+
+async function disableMfa(c) {
+  const { env } = c;
+  const userId = c.state.user.userId;
+
+  await env.DB.batch([
+    env.DB.prepare('DELETE FROM mfa_recovery_codes WHERE user_id = ?').bind(userId),
+    env.DB.prepare('DELETE FROM mfa_challenges WHERE user_id = ?').bind(userId),
+    env.DB.prepare('DELETE FROM user_mfa WHERE user_id = ?').bind(userId)
+  ]);
+  return json({ message: 'Two-factor authentication disabled' });
+}
+
+async function regenerateRecoveryCodes(c) {
+  const recoveryCodes = await replaceRecoveryCodes(c.env, c.state.user.userId);
+  return json({ recoveryCodes });
+}
+
+// Passkeys of the signed-in friend
+async function listPasskeys(c) {
+  const { results } = await c.env.DB.prepare(
+    'SELECT id, name, created_at, last_used_at FROM passkeys WHERE user_id = ? ORDER BY created_at'
+  ).bind(c.state.user.userId).all();
+  return json(results);
+}
+
+async function passkeyRegistrationOptions(c) {
+  const { env, url } = c;
+  const user = await env.DB.prepare(
+    'SELECT id, email, display_name FROM users WHERE id = ?'
+  ).bind(c.state.user.userId).first();
+
+  if (!user) {
+    throw new HttpError(401, 'Invalid or expired token');
+  }
+
+  const { results: existing } = await env.DB.prepare(
+    'SELECT id FROM passkeys WHERE user_id = ?'
+  ).bind(user.id).all();
+
+  return json({
+    challenge: await createWebAuthnChallenge(env, 'register', user.id),
+    rp: { id: getRelyingParty(env, url).rpId, name: PASSKEY_RP_NAME },
+    user: { id: passkeyUserHandle(user.id), name: user.email, displayName: user.display_name || user.email },
+    pubKeyCredParams: SUPPORTED_ALGORITHMS.map(alg => ({ type: 'public-key', alg })),
+    timeout: WEBAUTHN_CHALLENGE_TTL * 1000,
+    attestation: 'none',
+    authenticatorSelection: { residentKey: 'required', requireResidentKey: true, userVerification: 'required' },
+    excludeCredentials: existing.map(({ id }) => ({ type: 'public-key', id }))
+  });
+}
+
+async function registerPasskey(c) {
+  const { env, url } = c;
+  const { credential, name } = c.body;
+  const userId = c.state.user.userId;
+
+  const { challenge } = parseClientData(credential);
+  const pending = await consumeWebAuthnChallenge(env, challenge, 'register');
+  if (!pending || pending.user_id !== userId) {
+    throw new HttpError(400, 'Passkey request expired. Please try again.');
+  }
+
+  const passkey = await verifyRegistration(credential, { challenge, ...getRelyingParty(env, url) });
+
+  try {
+    const saved = await env.DB.prepare(
+      `INSERT INTO passkeys (id, user_id, public_key, algorithm, sign_count, name)
+       VALUES (?, ?, ?, ?, ?, ?)
+       RETURNING id, name, created_at, last_used_at`
+    ).bind(
+      passkey.id,
+      userId,
+      JSON.stringify(passkey.publicKey),
+      passkey.algorithm,
+      passkey.signCount,
+      String(name || '').trim().slice(0, 100) || null
+    ).first();
+    return json({ message: 'Passkey added successfully', passkey: saved }, 201);
+  } catch (error) {
+    throw new HttpError(409, 'Passkey already registered');
+  }
+}
+
+async function deletePasskey(c) {
+  const result = await c.env.DB.prepare(
+    'DELETE FROM passkeys WHERE id = ? AND user_id = ?'
+  ).bind(c.params.id, c.state.user.userId).run();
+
+  if (result.meta.changes !== 1) {
+    throw new HttpError(404, 'Passkey not found');
+  }
+  return json({ message: 'Passkey removed successfully' });
+}
+
+// Auth provider info endpoint
+function authInfo(c) {
+  const { type } = c.state.authConfig;
+  return json({
+    provider: type,
+    features: getProviderFeatures(type)
+  });
+}
+
+// The public resume, bundled from public/resume.json at deploy time
+function getResume() {
+  return json(resume, 200, { 'Cache-Control': 'public, max-age=300' });
+}
+
+// Friend management (admin only, basic auth only)
+
+// D1 only reports constraint violations through the error message
+function isUniqueViolation(error) {
+  return /UNIQUE constraint failed/.test(error.message);
+}
+
+// Creates a friend with a temporary password. /api/admin/create-user is kept
+// as an alias of POST /api/admin/users.
+async function createUser(c) {
+  const email = normalizeEmail(c.body.email);
+  const { temporaryPassword, password, displayName } = c.body;
+  const initialPassword = temporaryPassword || password;
+
+  if (!email || !initialPassword) {
+    throw new HttpError(400, 'Email and temporaryPassword required');
+  }
+
+  try {
+    const user = await c.env.DB.prepare(
+      `INSERT INTO users (email, password_hash, display_name, email_verified_at)
+       VALUES (?, ?, ?, CURRENT_TIMESTAMP) RETURNING id, email, display_name, created_at`
+    ).bind(email, await hashPassword(initialPassword), displayName || null).first();
+    return json({ message: 'User created successfully', user }, 201);
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      throw new HttpError(400, 'User already exists');
+    }
+    throw error;
+  }
+}
+
+async function listUsers(c) {
+  const { results } = await c.env.DB.prepare(
+    `SELECT id, email, display_name, created_at, disabled_at, last_login_at
+     FROM users
+     ORDER BY created_at`
+  ).all();
+  return json(results);
+}
+
+// Loads the user named by :id into c.state.target
+async function loadTargetUser(c, next) {
+  const target = await c.env.DB.prepare(
+    'SELECT id, email FROM users WHERE id = ?'
+  ).bind(Number(c.params.id)).first();
+
+  if (!target) {
+    throw new HttpError(404, 'User not found');
+  }
+  c.state.target = target;
+  return next();
+}
+
+async function deleteUser(c) {
+  const { env } = c;
+  const userId = c.state.target.id;
+
+  await env.DB.batch([
+    env.DB.prepare('DELETE FROM sessions WHERE user_id = ?').bind(userId),
+    env.DB.prepare('DELETE FROM password_resets WHERE user_id = ?').bind(userId),
+    env.DB.prepare('DELETE FROM mfa_challenges WHERE user_id = ?').bind(userId),
+    env.DB.prepare('DELETE FROM mfa_recovery_codes WHERE user_id = ?').bind(userId),
+    env.DB.prepare('DELETE FROM user_mfa WHERE user_id = ?').bind(userId),
+    env.DB.prepare('DELETE FROM webauthn_challenges WHERE user_id = ?').bind(userId),
+    env.DB.prepare('DELETE FROM passkeys WHERE user_id = ?').bind(userId),
+    env.DB.prepare('DELETE FROM magic_links WHERE user_id = ?').bind(userId),
+    env.DB.prepare('DELETE FROM invite_redemptions WHERE user_id = ?').bind(userId),
+    env.DB.prepare('DELETE FROM users WHERE id = ?').bind(userId)
+  ]);
+  return json({ message: 'User deleted successfully' });
+}
+
+async function disableUser(c) {
+  const userId = c.state.target.id;
+
+  await c.env.DB.prepare(
+    'UPDATE users SET disabled_at = CURRENT_TIMESTAMP WHERE id = ? AND disabled_at IS NULL'
+  ).bind(userId).run();
+  await revokeUserSessions(c.env, userId);
+  return json({ message: 'User disabled successfully' });
+}
+
+async function enableUser(c) {
+  await c.env.DB.prepare(
+    'UPDATE users SET disabled_at = NULL WHERE id = ?'
+  ).bind(c.state.target.id).run();
+  return json({ message: 'User enabled successfully' });
+}
+
+async function createResetLink(c) {
+  const { id, email } = c.state.target;
+  const link = await createPasswordResetLink(c.env, c.url, id);
+  return json({ email, ...link });
+}
+
+// Recent login and registration attempts, newest first
+async function listAuthAttempts(c) {
+  const { searchParams } = c.url;
+  const filters = [];
+  const params = [];
+
+  for (const column of ['action', 'outcome', 'email', 'ip']) {
+    const value = searchParams.get(column);
+    if (value) {
+      filters.push(`${column} = ?`);
+      params.push(column === 'email' ? normalizeEmail(value) : value);
+    }
+  }
+  const limit = Math.min(Math.max(parseInt(searchParams.get('limit'), 10) || 100, 1), 500);
+
+  const { results } = await c.env.DB.prepare(
+    `SELECT id, action, email, ip, outcome, user_agent, created_at FROM auth_attempts
+     ${filters.length > 0 ? `WHERE ${filters.join(' AND ')}` : ''}
+     ORDER BY id DESC
+     LIMIT ?`
+  ).bind(...params, limit).all();
+  return json(results);
+}
+
+// Access log, filtered by user (id or email), event, key prefix and an
+// inclusive from/to date range. ?format=csv downloads it as a spreadsheet.
+async function listAccessLog(c) {
+  const { searchParams } = c.url;
+  const filters = [];
+  const params = [];
+
+  const user = searchParams.get('user');
+  if (user) {
+    filters.push('(user_id = ? OR email = ?)');
+    params.push(user, normalizeEmail(user));
+  }
+  const event = searchParams.get('event');
+  if (event) {
+    filters.push('event = ?');
+    params.push(event);
+  }
+  const key = searchParams.get('key');
+  if (key) {
+    filters.push('substr(object_key, 1, length(?)) = ?');
+    params.push(key, key);
+  }
+
+  for (const [name, filter] of [['from', 'created_at >= datetime(?)'], ['to', "created_at < datetime(?, '+1 day')"]]) {
+    const value = searchParams.get(name);
+    if (!value) {
+      continue;
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value))) {
+      throw new HttpError(400, `${name} must be a date (YYYY-MM-DD)`);
+    }
+    filters.push(filter);
+    params.push(value);
+  }
+
+  const csv = searchParams.get('format') === 'csv';
+  const limit = csv
+    ? ACCESS_LOG_MAX_ROWS
+    : Math.min(Math.max(parseInt(searchParams.get('limit'), 10) || 100, 1), 1000);
+
+  const { results } = await c.env.DB.prepare(
+    `SELECT id, ${ACCESS_LOG_COLUMNS.join(', ')} FROM access_log
+     ${filters.length > 0 ? `WHERE ${filters.join(' AND ')}` : ''}
+     ORDER BY id DESC
+     LIMIT ?`
+  ).bind(...params, limit).all();
+
+  if (!csv) {
+    return json(results);
+  }
+  return new Response(toCsv(results, ACCESS_LOG_COLUMNS), {
+    headers: {
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="access-log-${new Date().toISOString().slice(0, 10)}.csv"`
+    }
+  });
+}
+
+// Media administration (admin only, every provider)
+async function updatePhotoMetadata(c) {
+  const { env } = c;
+  const key = c.params.key;
+
+  if (!key.startsWith('photos/') || !(await env.BUCKET.head(key))) {
+    throw new HttpError(404, 'Photo not found');
+  }
+
+  const { album, caption, takenAt, tags } = c.body;
+  validateTakenAt(takenAt);
+
+  await savePhotoMetadata(env, key, { album, caption, takenAt, tags });
+  return json({ key, album: album || null, caption: caption || null, takenAt: takenAt || null, tags: normalizeTags(tags) });
+}
+
+async function listAclRules(c) {
+  const { results } = await c.env.DB.prepare(
+    'SELECT * FROM media_acl ORDER BY prefix, principal_type, principal'
+  ).all();
+  return json(results);
+}
+
+async function createAclRule(c) {
+  const { prefix, email, group } = c.body;
+
+  if (!prefix || !/^(photos|documents)\//.test(prefix) || Boolean(email) === Boolean(group)) {
+    throw new HttpError(400, 'prefix under photos/ or documents/ and exactly one of email or group required');
+  }
+
+  const rule = await c.env.DB.prepare(
+    `INSERT INTO media_acl (prefix, principal_type, principal) VALUES (?, ?, ?)
+     ON CONFLICT (prefix, principal_type, principal) DO UPDATE SET prefix = excluded.prefix
+     RETURNING *`
+  ).bind(prefix, email ? 'email' : 'group', normalizeEmail(email) || group).first();
+  return json(rule, 201);
+}
+
+async function deleteAclRule(c) {
+  await c.env.DB.prepare('DELETE FROM media_acl WHERE id = ?').bind(Number(c.params.id)).run();
+  return json({ message: 'Rule deleted successfully' });
+}
+
+// Protected content endpoints
+
+// List photos from R2 bucket, one page at a time
+async function listPhotos(c) {
+  const { env, url } = c;
+  const { user, authConfig } = c.state;
+  const canAccess = await createMediaAccessCheck(env, user, authConfig.type);
+  const metadata = await loadPhotoMetadata(env);
+  const album = url.searchParams.get('album');
+  const tag = url.searchParams.get('tag');
+
+  const { items, nextCursor } = await listObjectsPage(env, 'photos/', parseListParams(url), obj => {
+    const meta = metadata.get(obj.key);
+    return canAccess(obj.key) &&
+      (!album || meta?.album === album) &&
+      (!tag || Boolean(meta?.tags.includes(tag.toLowerCase())));
+  });
+
+  const photos = await Promise.all(items.map(async obj => {
+    const photoUrl = await signMediaUrl(env, 'photo', obj.key, user);
+    const meta = metadata.get(obj.key) || {};
+    return {
+      name: obj.key,
+      url: photoUrl,
+      variants: photoVariantUrls(photoUrl),
+      caption: meta.caption || null,
+      album: meta.album || null,
+      takenAt: meta.takenAt || null,
+      tags: meta.tags || [],
+      size: obj.size,
+      uploaded: obj.uploaded
+    };
+  }));
+
+  return json({ photos, nextCursor });
+}
+
+async function listAlbums(c) {
+  const { env } = c;
+  const { user, authConfig } = c.state;
+  const { albums } = await summarizePhotos(env, user, authConfig.type);
+  const withCovers = await Promise.all(albums.map(async ({ coverKey, ...album }) => ({
+    ...album,
+    cover: photoVariantUrls(await signMediaUrl(env, 'photo', coverKey, user)).thumb
+  })));
+
+  return json(withCovers);
+}
+
+async function listTags(c) {
+  const { tags } = await summarizePhotos(c.env, c.state.user, c.state.authConfig.type);
+  return json(tags);
+}
+
+async function getPhoto(c) {
+  const { env, request } = c;
+  const photoKey = c.params.key;
+  const size = c.url.searchParams.get('size') || 'original';
+
+  if (size !== 'original' && !PHOTO_VARIANTS[size]) {
+    throw new HttpError(400, `Unknown size. Use original, ${Object.keys(PHOTO_VARIANTS).join(', ')}`);
+  }
+
+  const object = size === 'original'
+    ? await getObjectForRequest(env, photoKey, request)
+    : await getPhotoVariant(env, photoKey, size, request);
+
+  if (!object) {
+    throw new HttpError(404, 'Photo not found');
+  }
+
+  return objectResponse(request, object, {
+    'Content-Type': 'image/jpeg',
+    'Cache-Control': 'public, max-age=3600'
+  });
+}
+
+// List documents from R2 bucket, one page at a time
+async function listDocuments(c) {
+  const { env } = c;
+  const { user, authConfig } = c.state;
+  const canAccess = await createMediaAccessCheck(env, user, authConfig.type);
+  const { items, nextCursor } = await listObjectsPage(env, 'documents/', parseListParams(c.url), obj => canAccess(obj.key));
+  const documents = await Promise.all(items.map(async obj => ({
+    name: obj.key.replace('documents/', ''),
+    url: await signMediaUrl(env, 'document', obj.key, user),
+    size: obj.size,
+    uploaded: obj.uploaded
+  })));
+
+  return json({ documents, nextCursor });
+}
+
+// Documents the friends section can preview with ?inline=1, by extension.
+// The type stored at upload came from the browser, so inline responses
+// never use it.
+const INLINE_DOCUMENT_TYPES = {
+  pdf: 'application/pdf',
+  txt: 'text/plain; charset=utf-8',
+  md: 'text/markdown; charset=utf-8',
+  markdown: 'text/markdown; charset=utf-8',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp'
+};
+
+function inlineDocumentType(key) {
+  const extension = key.split('.').pop().toLowerCase();
+  return Object.hasOwn(INLINE_DOCUMENT_TYPES, extension) ? INLINE_DOCUMENT_TYPES[extension] : null;
+}
+
+async function getDocument(c) {
+  const docKey = c.params.key;
+  const filename = docKey.split('/').pop();
+  const inline = c.url.searchParams.get('inline') === '1';
+  const inlineType = inline && inlineDocumentType(docKey);
+
+  if (inline && !inlineType) {
+    throw new HttpError(415, 'This document type cannot be previewed');
+  }
+
+  const object = await getObjectForRequest(c.env, docKey, c.request);
+
+  if (!object) {
+    throw new HttpError(404, 'Document not found');
+  }
+
+  if (!inline) {
+    return objectResponse(c.request, object, {
+      'Content-Type': 'application/octet-stream',
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+  }
+
+  c.state.auditEvent = 'document.view';
+  return objectResponse(c.request, object, {}, {
+    'Content-Type': inlineType,
+    'Content-Disposition': `inline; filename="${filename}"`
+  });
+}
+
+function upload(kind) {
+  return async c => {
+    const { env, request } = c;
+    const target = UPLOAD_TARGETS[kind];
+
+    const contentLength = Number(request.headers.get('Content-Length'));
+    if (contentLength > UPLOAD_MAX_BYTES + 64 * 1024) {
+      throw new HttpError(413, 'File too large');
+    }
+
+    let formData;
+    try {
+      formData = await request.formData();
+    } catch {
+      throw new HttpError(400, 'Expected a multipart/form-data body');
+    }
+
+    const file = formData.get(target.field);
+    validateUpload(file, kind);
+
+    // Checked before the upload so a bad date doesn't leave an orphaned object
+    const metadata = kind === 'photo' ? {
+      album: formData.get('album'),
+      caption: formData.get('caption'),
+      takenAt: formData.get('takenAt'),
+      tags: formData.get('tags')
+    } : null;
+    if (metadata) {
+      validateTakenAt(metadata.takenAt);
+    }
+
+    const key = `${target.prefix}${Date.now()}-${safeObjectName(file.name)}`;
+    await env.BUCKET.put(key, await file.arrayBuffer(), {
+      httpMetadata: { contentType: file.type }
+    });
+
+    if (metadata) {
+      c.executionCtx.waitUntil(createPhotoVariants(env, key));
+
+      if (Object.values(metadata).some(Boolean)) {
+        await savePhotoMetadata(env, key, metadata);
       }
-      
-      return new Response('Not Found', { status: 404, headers: corsHeaders });
-      
-    } catch (error) {
-      return new Response(JSON.stringify({ error: 'Internal Server Error' }), {
-        status: 500,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-      });
     }
+
+    return json({
+      message: `${target.label} uploaded successfully`,
+      key,
+      url: `/api/protected/${kind}/${encodeURIComponent(key)}`
+    }, 201);
+  };
+}
+
+// Routes
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, HEAD, POST, PUT, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, Range, If-None-Match, If-Modified-Since',
+  'Access-Control-Expose-Headers': 'Content-Length, Content-Range, Accept-Ranges, ETag, Last-Modified, Allow, Retry-After',
+};
+
+const router = new Router()
+  .use(cors(corsHeaders), errorHandler(), withAuthProvider, requireSchema)
+
+  .post('/api/login', basicAuthOnly, jsonBody(), audit('login'), throttle('login'), login)
+  .post('/api/login/mfa', basicAuthOnly, jsonBody(), audit('login'), throttle('login'), loginMfa)
+  .post('/api/login/magic/request', basicAuthOnly, requireMail, jsonBody(), requestMagicLink)
+  .post('/api/login/magic', basicAuthOnly, jsonBody(), audit('login'), throttle('login'), loginMagic)
+  .post('/api/passkeys/login/options', basicAuthOnly, passkeyLoginOptions)
+  .post('/api/passkeys/login', basicAuthOnly, jsonBody(), audit('login'), throttle('login'), webauthnErrors(401), passkeyLogin)
+  .post('/api/refresh', basicAuthOnly, jsonBody(), audit('refresh'), refresh)
+  .post('/api/logout', basicAuthOnly, jsonBody(), logout)
+  .post('/api/register', basicAuthOnly, jsonBody(), throttle('register'), register)
+  .post('/api/password/reset', basicAuthOnly, jsonBody(), resetPassword)
+  .post('/api/password/forgot', basicAuthOnly, requireMail, jsonBody(), forgotPassword)
+  .post('/api/password/change', basicAuthOnly, requireAuth, jsonBody(), throttle('password'), changePassword)
+  .get('/api/auth/info', authInfo)
+  .get('/api/resume', getResume)
+
+  .get('/api/mfa', basicAuthOnly, requireAuth, mfaStatus)
+  .post('/api/mfa/setup', basicAuthOnly, requireAuth, setupMfa)
+  .post('/api/mfa/verify', basicAuthOnly, requireAuth, jsonBody(), verifyMfa)
+  .post('/api/mfa/disable', basicAuthOnly, requireAuth, jsonBody(), requireSecondFactor, disableMfa)
+  .post('/api/mfa/recovery-codes', basicAuthOnly, requireAuth, jsonBody(), requireSecondFactor, regenerateRecoveryCodes)
+
+  .get('/api/passkeys', basicAuthOnly, requireAuth, listPasskeys)
+  .post('/api/passkeys/register/options', basicAuthOnly, requireAuth, passkeyRegistrationOptions)
+  .post('/api/passkeys/register', basicAuthOnly, requireAuth, jsonBody(), webauthnErrors(400), registerPasskey)
+  .delete('/api/passkeys/:id', basicAuthOnly, requireAuth, deletePasskey)
+
+  .post('/api/admin/create-user', requireAdmin, requireLocalUsers, jsonBody(), createUser)
+  .get('/api/admin/users', requireAdmin, requireLocalUsers, listUsers)
+  .post('/api/admin/users', requireAdmin, requireLocalUsers, jsonBody(), createUser)
+  .delete('/api/admin/users/:id', requireAdmin, requireLocalUsers, loadTargetUser, deleteUser)
+  .post('/api/admin/users/:id/disable', requireAdmin, requireLocalUsers, loadTargetUser, disableUser)
+  .post('/api/admin/users/:id/enable', requireAdmin, requireLocalUsers, loadTargetUser, enableUser)
+  .post('/api/admin/users/:id/reset-link', requireAdmin, requireLocalUsers, loadTargetUser, createResetLink)
+  .get('/api/admin/auth-attempts', requireAdmin, requireLocalUsers, listAuthAttempts)
+  .get('/api/admin/access-log', requireAdmin, listAccessLog)
+  .put('/api/admin/photos/:key+', requireAdmin, jsonBody(), updatePhotoMetadata)
+  .get('/api/admin/acl', requireAdmin, listAclRules)
+  .post('/api/admin/acl', requireAdmin, jsonBody(), createAclRule)
+  .delete('/api/admin/acl/:id', requireAdmin, deleteAclRule)
+
+  .get('/api/protected/photos', requireFriend, listPhotos)
+  .get('/api/protected/albums', requireFriend, listAlbums)
+  .get('/api/protected/tags', requireFriend, listTags)
+  .get('/api/protected/photo/:key+', audit('photo.view', { skip: isRoutineMediaRead }), mediaAccess('photo'), getPhoto)
+  .get('/api/protected/documents', requireFriend, listDocuments)
+  .get('/api/protected/document/:key+', audit('document.download', { skip: isRoutineMediaRead }), mediaAccess('document'), getDocument)
+  .post('/api/protected/upload/photo', requireAdmin, upload('photo'))
+  .post('/api/protected/upload/document', requireAdmin, upload('document'));
+
+export default {
+  fetch(request, env, ctx) {
+    return router.handle(request, env, ctx);
   }
-};
\ No newline at end of file
+};
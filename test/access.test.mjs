@@ -0,0 +1,117 @@
+// Media access control (src/access.js): which rules cover a key, and which
+// emails and groups each kind of user is allowed to match them with
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeEmail, isAdmin, createMediaAccessCheck } from '../src/access.js';
+
+// D1 stand-in holding media_acl rules and, per user id, the account row and
+// the labels of the invites they redeemed
+function fakeEnv({ rules = [], users = {}, labels = {} } = {}) {
+  const statement = sql => ({
+    bind: (...params) => ({
+      first: async () => sql.includes('FROM users') ? users[params[0]] ?? null : null,
+      all: async () => ({
+        results: sql.includes('FROM invite_redemptions')
+          ? (labels[params[0]] || []).map(label => ({ label }))
+          : []
+      })
+    }),
+    all: async () => ({ results: sql.includes('FROM media_acl') ? rules : [] })
+  });
+  return { ADMIN_EMAIL: ' Admin@Example.com ', DB: { prepare: statement } };
+}
+
+const rule = (prefix, principal_type, principal) => ({ prefix, principal_type, principal });
+
+test('normalizeEmail trims and lowercases, and isAdmin compares normalized emails', () => {
+  assert.equal(normalizeEmail('  Friend@Example.COM '), 'friend@example.com');
+  assert.equal(normalizeEmail(''), null);
+  assert.equal(normalizeEmail(undefined), null);
+
+  const env = fakeEnv();
+  assert.equal(isAdmin({ email: 'ADMIN@example.com' }, env), true);
+  assert.equal(isAdmin({ email: 'friend@example.com' }, env), false);
+  assert.equal(isAdmin({ email: 'admin@example.com' }, { ADMIN_EMAIL: '' }), false);
+});
+
+test('keys without matching rules are visible to every friend', async () => {
+  const canAccess = await createMediaAccessCheck(fakeEnv(), { userId: 2, email: 'friend@example.com' }, 'basic');
+  assert.equal(canAccess('photos/a.jpg'), true);
+
+  const env = fakeEnv({ rules: [rule('photos/private/', 'group', 'family')] });
+  const check = await createMediaAccessCheck(env, { userId: 2 }, 'basic');
+  assert.equal(check('photos/a.jpg'), true);
+  assert.equal(check('photos/private/a.jpg'), false);
+});
+
+test('prefix rules end in a slash, anything else matches one key', async () => {
+  const env = fakeEnv({
+    rules: [rule('photos/private/', 'group', 'family'), rule('documents/cv.pdf', 'group', 'family')]
+  });
+  const check = await createMediaAccessCheck(env, { userId: 2 }, 'basic');
+  assert.equal(check('photos/private/2024/a.jpg'), false);
+  assert.equal(check('photos/privateer.jpg'), true);
+  assert.equal(check('documents/cv.pdf'), false);
+  assert.equal(check('documents/cv.pdf.bak'), true);
+});
+
+test('the admin sees everything without loading rules', async () => {
+  const env = fakeEnv();
+  env.DB.prepare = () => {
+    throw new Error('rules should not be loaded for the admin');
+  };
+  const check = await createMediaAccessCheck(env, { userId: 1, email: 'admin@EXAMPLE.com' }, 'basic');
+  assert.equal(check('photos/private/a.jpg'), true);
+});
+
+test('basic-auth email rules match only verified addresses, regardless of case', async () => {
+  const rules = [rule('photos/private/', 'email', 'Friend@Example.com')];
+  const token = { userId: 2, email: 'friend@example.com' };
+
+  const unverified = fakeEnv({ rules, users: { 2: { email: 'friend@example.com', email_verified_at: null } } });
+  assert.equal((await createMediaAccessCheck(unverified, token, 'basic'))('photos/private/a.jpg'), false);
+
+  const verified = fakeEnv({ rules, users: { 2: { email: 'friend@example.com', email_verified_at: '2026-01-01 00:00:00' } } });
+  assert.equal((await createMediaAccessCheck(verified, token, 'basic'))('photos/private/a.jpg'), true);
+
+  // The token's email isn't trusted; the account row is
+  const other = fakeEnv({ rules, users: { 2: { email: 'other@example.com', email_verified_at: '2026-01-01 00:00:00' } } });
+  assert.equal((await createMediaAccessCheck(other, token, 'basic'))('photos/private/a.jpg'), false);
+});
+
+test('basic-auth groups are the labels of redeemed invites', async () => {
+  const env = fakeEnv({
+    rules: [rule('photos/family/', 'group', 'Family'), rule('photos/work/', 'group', 'work')],
+    labels: { 2: ['family'] }
+  });
+  const check = await createMediaAccessCheck(env, { userId: 2, groups: ['work'] }, 'basic');
+  assert.equal(check('photos/family/a.jpg'), true);
+  assert.equal(check('photos/work/a.jpg'), false);
+});
+
+test('external providers match on the token email and groups', async () => {
+  const env = fakeEnv({
+    rules: [rule('photos/family/', 'group', 'family'), rule('photos/friend/', 'email', 'friend@example.com')]
+  });
+  const check = await createMediaAccessCheck(env, { sub: 'abc', email: 'Friend@Example.com', groups: ['FAMILY'] }, 'okta');
+  assert.equal(check('photos/family/a.jpg'), true);
+  assert.equal(check('photos/friend/a.jpg'), true);
+
+  const stranger = await createMediaAccessCheck(env, { sub: 'def' }, 'cognito');
+  assert.equal(stranger('photos/family/a.jpg'), false);
+  assert.equal(stranger('photos/friend/a.jpg'), false);
+});
+
+test('any one matching rule grants access', async () => {
+  const env = fakeEnv({
+    rules: [rule('photos/', 'group', 'everyone'), rule('photos/private/', 'email', 'friend@example.com')],
+    users: { 2: { email: 'friend@example.com', email_verified_at: '2026-01-01 00:00:00' } },
+    labels: { 3: ['everyone'] }
+  });
+  const friend = await createMediaAccessCheck(env, { userId: 2 }, 'basic');
+  const member = await createMediaAccessCheck(env, { userId: 3 }, 'basic');
+  assert.equal(friend('photos/private/a.jpg'), true);
+  assert.equal(friend('photos/a.jpg'), false);
+  assert.equal(member('photos/private/a.jpg'), true);
+});
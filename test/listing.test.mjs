@@ -0,0 +1,92 @@
+// Paginated listings (src/listing.js): cursor round trips, rejection of
+// cursors the listing didn't issue, and pages cut at exactly `limit`
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HttpError } from '../src/router.js';
+import { parseListParams, encodeListCursor, decodeListCursor, listObjectsPage } from '../src/listing.js';
+
+// R2 bucket stand-in listing sorted keys, `pageSize` at most per call
+function fakeBucket(keys, pageSize = 1000) {
+  const sorted = [...keys].sort();
+  return {
+    async list({ prefix, startAfter, limit }) {
+      const matching = sorted.filter(key => key.startsWith(prefix) && (!startAfter || key > startAfter));
+      const objects = matching.slice(0, Math.min(limit, pageSize)).map(key => ({ key }));
+      return { objects, truncated: matching.length > objects.length };
+    }
+  };
+}
+
+function invalidCursor(error) {
+  return error instanceof HttpError && error.status === 400 && error.message === 'Invalid cursor';
+}
+
+test('parseListParams clamps the limit', () => {
+  const parse = query => parseListParams(new URL(`https://api.example.com/api/protected/photos${query}`));
+  assert.deepEqual(parse(''), { limit: 50, cursor: null });
+  assert.deepEqual(parse('?limit=0&cursor=abc'), { limit: 50, cursor: 'abc' });
+  assert.equal(parse('?limit=-5').limit, 1);
+  assert.equal(parse('?limit=5000').limit, 200);
+});
+
+test('cursors round-trip keys, including non-ASCII ones', () => {
+  for (const key of ['photos/a.jpg', 'photos/2024/été é.png', 'documents/résumé.pdf']) {
+    const cursor = encodeListCursor(key);
+    assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+    assert.equal(decodeListCursor(cursor, key.slice(0, key.indexOf('/') + 1)), key);
+  }
+});
+
+test('malformed cursors are a 400', () => {
+  for (const cursor of ['not base64!', 'a', 'cGhvdG9zL2E=', encodeListCursor('photos/a').slice(0, -1) + '*']) {
+    assert.throws(() => decodeListCursor(cursor, 'photos/'), invalidCursor, cursor);
+  }
+  // Valid base64url that isn't UTF-8
+  const latin1 = btoa('photos/\xff').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  assert.throws(() => decodeListCursor(latin1, 'photos/'), invalidCursor);
+});
+
+test('cursors from another listing are a 400', () => {
+  assert.throws(() => decodeListCursor(encodeListCursor('documents/cv.pdf'), 'photos/'), invalidCursor);
+  assert.throws(() => decodeListCursor(encodeListCursor('photo'), 'photos/'), invalidCursor);
+});
+
+test('listObjectsPage pages through every object exactly once', async () => {
+  const keys = Array.from({ length: 7 }, (_, i) => `photos/${i}.jpg`);
+  const env = { BUCKET: fakeBucket([...keys, 'documents/cv.pdf'], 3) };
+
+  const seen = [];
+  let cursor = null;
+  do {
+    const page = await listObjectsPage(env, 'photos/', { limit: 3, cursor });
+    assert.ok(page.items.length <= 3);
+    seen.push(...page.items.map(obj => obj.key));
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  assert.deepEqual(seen, keys);
+});
+
+test('listObjectsPage fills pages after filtering and ends without a cursor', async () => {
+  const keys = Array.from({ length: 10 }, (_, i) => `photos/${i}.jpg`);
+  const env = { BUCKET: fakeBucket(keys, 2) };
+  const even = obj => Number(obj.key.match(/\d+/)[0]) % 2 === 0;
+
+  const first = await listObjectsPage(env, 'photos/', { limit: 3, cursor: null }, even);
+  assert.deepEqual(first.items.map(obj => obj.key), ['photos/0.jpg', 'photos/2.jpg', 'photos/4.jpg']);
+
+  const second = await listObjectsPage(env, 'photos/', { limit: 3, cursor: first.nextCursor }, even);
+  assert.deepEqual(second.items.map(obj => obj.key), ['photos/6.jpg', 'photos/8.jpg']);
+  assert.equal(second.nextCursor, null);
+});
+
+test('listObjectsPage rejects a foreign cursor before listing', async () => {
+  let listed = false;
+  const env = { BUCKET: { list: async () => { listed = true; return { objects: [], truncated: false }; } } };
+  await assert.rejects(
+    listObjectsPage(env, 'photos/', { limit: 10, cursor: encodeListCursor('documents/cv.pdf') }),
+    invalidCursor
+  );
+  assert.equal(listed, false);
+});
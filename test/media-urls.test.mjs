@@ -0,0 +1,88 @@
+// Signed media URLs (src/access.js): a URL verifies only for the route, key,
+// user and expiry it was signed for, and never without a secret
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HttpError } from '../src/router.js';
+import { mediaUrlUser, signMediaUrl, verifyMediaUrl } from '../src/access.js';
+
+const env = { MEDIA_URL_SECRET: 'media-secret' };
+const user = { userId: 7, email: 'friend@example.com' };
+
+async function signed(kind, key, signingEnv = env) {
+  const url = new URL(await signMediaUrl(signingEnv, kind, key, user), 'https://api.example.com');
+  return { path: url.pathname, params: url.searchParams };
+}
+
+test('signed URLs verify for the user who requested them', async () => {
+  const { path, params } = await signed('photo', 'photos/2024/été.jpg');
+  assert.equal(path, `/api/protected/photo/${encodeURIComponent('photos/2024/été.jpg')}`);
+  assert.equal(params.get('uid'), '7');
+  assert.match(params.get('sig'), /^[A-Za-z0-9_-]{43}$/);
+  assert.equal(await verifyMediaUrl(env, 'photo', 'photos/2024/été.jpg', params), '7');
+});
+
+test('mediaUrlUser falls back to the subject, then the email', () => {
+  assert.equal(mediaUrlUser({ userId: 3, sub: 'abc' }), '3');
+  assert.equal(mediaUrlUser({ sub: 'abc', email: 'a@example.com' }), 'abc');
+  assert.equal(mediaUrlUser({ email: 'a@example.com' }), 'a@example.com');
+});
+
+test('expiries are rounded up to a window so URLs stay stable', async () => {
+  const first = await signed('photo', 'photos/a.jpg');
+  const second = await signed('photo', 'photos/a.jpg');
+  const exp = Number(first.params.get('exp'));
+  assert.equal(exp % (15 * 60), 0);
+  assert.ok(exp >= Date.now() / 1000 + 60 * 60);
+  assert.equal(second.params.toString(), first.params.toString());
+});
+
+test('tampered keys, routes, users, expiries and signatures are rejected', async () => {
+  const { params } = await signed('photo', 'photos/a.jpg');
+  assert.equal(await verifyMediaUrl(env, 'photo', 'photos/b.jpg', params), null);
+  assert.equal(await verifyMediaUrl(env, 'document', 'photos/a.jpg', params), null);
+
+  const tamper = async (name, value) => {
+    const changed = new URLSearchParams(params);
+    changed.set(name, value);
+    return verifyMediaUrl(env, 'photo', 'photos/a.jpg', changed);
+  };
+  assert.equal(await tamper('uid', '8'), null);
+  assert.equal(await tamper('exp', String(Number(params.get('exp')) + 900)), null);
+  assert.equal(await tamper('sig', params.get('sig').slice(0, -1)), null);
+  assert.equal(await tamper('sig', ''), null);
+
+  for (const name of ['uid', 'exp', 'sig']) {
+    const missing = new URLSearchParams(params);
+    missing.delete(name);
+    assert.equal(await verifyMediaUrl(env, 'photo', 'photos/a.jpg', missing), null, name);
+  }
+});
+
+test('URLs signed with another secret are rejected', async () => {
+  const { params } = await signed('document', 'documents/cv.pdf', { MEDIA_URL_SECRET: 'other-secret' });
+  assert.equal(await verifyMediaUrl(env, 'document', 'documents/cv.pdf', params), null);
+});
+
+test('JWT_SECRET is the fallback key', async () => {
+  const fallback = { JWT_SECRET: 'jwt-secret' };
+  const { params } = await signed('document', 'documents/cv.pdf', fallback);
+  assert.equal(await verifyMediaUrl(fallback, 'document', 'documents/cv.pdf', params), '7');
+  assert.equal(await verifyMediaUrl({ MEDIA_URL_SECRET: 'jwt-secret-not' }, 'document', 'documents/cv.pdf', params), null);
+});
+
+test('expired URLs are rejected', async (t) => {
+  const { params } = await signed('photo', 'photos/a.jpg');
+  const exp = Number(params.get('exp'));
+  t.mock.method(Date, 'now', () => (exp + 1) * 1000);
+  assert.equal(await verifyMediaUrl(env, 'photo', 'photos/a.jpg', params), null);
+});
+
+test('signing or verifying without any secret is a 500', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const misconfigured = error => error instanceof HttpError && error.status === 500;
+  await assert.rejects(signMediaUrl({}, 'photo', 'photos/a.jpg', user), misconfigured);
+
+  const { params } = await signed('photo', 'photos/a.jpg');
+  await assert.rejects(verifyMediaUrl({}, 'photo', 'photos/a.jpg', params), misconfigured);
+});
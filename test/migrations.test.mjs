@@ -0,0 +1,65 @@
+// D1 migrations (src/migrations.js): pending versions and the statements
+// scripts/migrate-d1.mjs writes for each one
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MIGRATIONS, SCHEMA_VERSION, getPendingMigrations, getMigrationStatements } from '../src/migrations.js';
+
+// query() stand-in answering pragma_table_info from a table => columns map
+function schemaQuery(tables) {
+  const queries = [];
+  const query = async sql => {
+    queries.push(sql);
+    const table = sql.match(/pragma_table_info\('(\w+)'\)/)[1];
+    return (tables[table] || []).map(name => ({ name }));
+  };
+  return { query, queries };
+}
+
+test('versions are unique and ascending, and SCHEMA_VERSION is the last', () => {
+  const versions = MIGRATIONS.map(migration => migration.version);
+  assert.deepEqual(versions, [...versions].sort((a, b) => a - b));
+  assert.equal(new Set(versions).size, versions.length);
+  assert.equal(SCHEMA_VERSION, versions[versions.length - 1]);
+});
+
+test('getPendingMigrations skips applied versions', () => {
+  const pending = getPendingMigrations([{ version: 1 }, { version: 3 }]);
+  assert.ok(!pending.some(migration => migration.version === 1 || migration.version === 3));
+  assert.equal(pending.length, MIGRATIONS.length - 2);
+  assert.deepEqual(getPendingMigrations(MIGRATIONS), []);
+});
+
+test('getMigrationStatements adds only missing columns, before the statements', async () => {
+  const migration = {
+    version: 99,
+    name: 'example',
+    missingColumns: { users: { disabled_at: 'DATETIME', display_name: 'TEXT' } },
+    statements: ['CREATE INDEX users_disabled ON users (disabled_at)']
+  };
+  const { query, queries } = schemaQuery({ users: ['id', 'email', 'display_name'] });
+
+  assert.deepEqual(await getMigrationStatements(migration, query), [
+    'ALTER TABLE users ADD COLUMN disabled_at DATETIME',
+    'CREATE INDEX users_disabled ON users (disabled_at)'
+  ]);
+  assert.deepEqual(queries, ["SELECT name FROM pragma_table_info('users')"]);
+});
+
+test('getMigrationStatements is a no-op for columns that already exist', async () => {
+  const migration = MIGRATIONS.find(migration => migration.name === 'users_disabled_at');
+  const { query } = schemaQuery({ users: ['id', 'email', 'password_hash', 'created_at', 'disabled_at'] });
+  assert.deepEqual(await getMigrationStatements(migration, query), []);
+
+  const legacy = schemaQuery({ users: ['id', 'email', 'password_hash', 'created_at'] });
+  assert.deepEqual(await getMigrationStatements(migration, legacy.query), [
+    'ALTER TABLE users ADD COLUMN disabled_at DATETIME'
+  ]);
+});
+
+test('migrations without missingColumns run their statements without querying', async () => {
+  const migration = MIGRATIONS.find(migration => !migration.missingColumns);
+  const { query, queries } = schemaQuery({});
+  assert.deepEqual(await getMigrationStatements(migration, query), migration.statements);
+  assert.deepEqual(queries, []);
+});
@@ -0,0 +1,219 @@
+// Passkey verification (src/webauthn.js): a real ES256 credential passes, and
+// anything malformed fails with WebAuthnError, which the worker turns into a
+// 400 or 401 instead of a 500.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WebAuthnError, bytesToBase64Url, base64UrlToBytes, parseClientData, verifyRegistration, verifyAuthentication } from '../src/webauthn.js';
+
+const encoder = new TextEncoder();
+const expected = { challenge: 'test-challenge', origin: 'https://example.com', rpId: 'example.com' };
+
+function concat(...parts) {
+  const bytes = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    bytes.set(part, offset);
+    offset += part.length;
+  }
+  return bytes;
+}
+
+async function sha256(bytes) {
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+}
+
+// CBOR byte string header for lengths up to 65535
+function cborBytes(bytes) {
+  const header = bytes.length < 24 ? [0x40 + bytes.length]
+    : bytes.length < 256 ? [0x58, bytes.length]
+      : [0x59, bytes.length >> 8, bytes.length & 0xff];
+  return concat(new Uint8Array(header), bytes);
+}
+
+function cborText(text) {
+  const bytes = encoder.encode(text);
+  return concat(new Uint8Array([0x60 + bytes.length]), bytes);
+}
+
+function clientData(type) {
+  return bytesToBase64Url(encoder.encode(JSON.stringify({ type, challenge: expected.challenge, origin: expected.origin })));
+}
+
+// An ASN.1 DER ECDSA signature from WebCrypto's r || s
+function rawToDer(raw) {
+  const integer = bytes => {
+    let value = bytes;
+    while (value.length > 1 && value[0] === 0 && !(value[1] & 0x80)) {
+      value = value.slice(1);
+    }
+    if (value[0] & 0x80) {
+      value = concat(new Uint8Array([0]), value);
+    }
+    return concat(new Uint8Array([0x02, value.length]), value);
+  };
+  const r = integer(raw.slice(0, 32));
+  const s = integer(raw.slice(32));
+  return concat(new Uint8Array([0x30, r.length + s.length]), r, s);
+}
+
+async function createPasskey() {
+  const keyPair = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+  const jwk = await crypto.subtle.exportKey('jwk', keyPair.publicKey);
+  const rpIdHash = await sha256(encoder.encode(expected.rpId));
+  const credentialId = new Uint8Array(16).fill(7);
+
+  // COSE_Key {1: 2 (EC2), 3: -7 (ES256), -1: 1 (P-256), -2: x, -3: y}
+  const coseKey = concat(
+    new Uint8Array([0xa5, 0x01, 0x02, 0x03, 0x26, 0x20, 0x01, 0x21]), cborBytes(base64UrlToBytes(jwk.x)),
+    new Uint8Array([0x22]), cborBytes(base64UrlToBytes(jwk.y))
+  );
+  // User present and verified, attested credential data, sign count 1
+  const authData = concat(
+    rpIdHash, new Uint8Array([0x45, 0, 0, 0, 1]), new Uint8Array(16),
+    new Uint8Array([0, credentialId.length]), credentialId, coseKey
+  );
+  const attestationPrefix = concat(
+    new Uint8Array([0xa3]), cborText('fmt'), cborText('none'),
+    cborText('attStmt'), new Uint8Array([0xa0]), cborText('authData')
+  );
+  const withAuthData = bytes => bytesToBase64Url(concat(attestationPrefix, cborBytes(bytes)));
+
+  const registration = {
+    id: bytesToBase64Url(credentialId),
+    response: { clientDataJSON: clientData('webauthn.create'), attestationObject: withAuthData(authData) }
+  };
+
+  async function assertion(signCount = 2) {
+    const assertionData = concat(rpIdHash, new Uint8Array([0x05, 0, 0, 0, signCount]));
+    const clientDataJSON = clientData('webauthn.get');
+    const signed = concat(assertionData, await sha256(base64UrlToBytes(clientDataJSON)));
+    const signature = new Uint8Array(await crypto.subtle.sign({ name: 'ECDSA', hash: 'SHA-256' }, keyPair.privateKey, signed));
+    return {
+      id: registration.id,
+      response: { clientDataJSON, authenticatorData: bytesToBase64Url(assertionData), signature: bytesToBase64Url(rawToDer(signature)) }
+    };
+  }
+
+  return { registration, authData, withAuthData, assertion };
+}
+
+const passkey = await createPasskey();
+const stored = await verifyRegistration(passkey.registration, expected);
+
+function withResponse(credential, changes) {
+  return { ...credential, response: { ...credential.response, ...changes } };
+}
+
+test('a valid registration and assertion verify', async () => {
+  assert.equal(stored.id, passkey.registration.id);
+  assert.equal(stored.signCount, 1);
+
+  const { signCount } = await verifyAuthentication(await passkey.assertion(2), expected, { ...stored, signCount: 1 });
+  assert.equal(signCount, 2);
+});
+
+test('credentials without a response object are rejected', async () => {
+  await assert.rejects(verifyRegistration(null, expected), WebAuthnError);
+  await assert.rejects(verifyRegistration({ id: 'x' }, expected), WebAuthnError);
+  await assert.rejects(verifyAuthentication({ id: 'x', response: 5 }, expected, stored), WebAuthnError);
+});
+
+test('malformed base64url and client data are rejected', async () => {
+  assert.throws(() => base64UrlToBytes('not base64!'), WebAuthnError);
+  assert.throws(() => base64UrlToBytes('a'), WebAuthnError);
+  assert.throws(() => parseClientData({ response: { clientDataJSON: bytesToBase64Url(encoder.encode('null')) } }), WebAuthnError);
+  assert.throws(() => parseClientData({ response: { clientDataJSON: bytesToBase64Url(encoder.encode('{')) } }), WebAuthnError);
+});
+
+test('attestation objects that are not a map with authData are rejected', async () => {
+  for (const bytes of [[0x01], [0x80], [0xa0], [0xa1, 0x68, ...encoder.encode('authData'), 0x01]]) {
+    await assert.rejects(
+      verifyRegistration(withResponse(passkey.registration, { attestationObject: bytesToBase64Url(new Uint8Array(bytes)) }), expected),
+      WebAuthnError
+    );
+  }
+});
+
+test('truncated CBOR and authenticator data are rejected', async () => {
+  const attestation = base64UrlToBytes(passkey.registration.response.attestationObject);
+  for (let length = 0; length < attestation.length; length++) {
+    await assert.rejects(
+      verifyRegistration(withResponse(passkey.registration, { attestationObject: bytesToBase64Url(attestation.slice(0, length)) }), expected),
+      WebAuthnError
+    );
+  }
+  for (let length = 0; length < passkey.authData.length; length++) {
+    await assert.rejects(
+      verifyRegistration(withResponse(passkey.registration, { attestationObject: passkey.withAuthData(passkey.authData.slice(0, length)) }), expected),
+      WebAuthnError
+    );
+  }
+});
+
+test('oversized lengths and deep nesting are rejected', async () => {
+  const cases = [
+    [0x5b, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff], // byte string of 2^64 - 1 bytes
+    [0x9a, 0xff, 0xff, 0xff, 0xff], // array of 2^32 - 1 items
+    [0xba, 0xff, 0xff, 0xff, 0xff], // map of 2^32 - 1 pairs
+    new Array(20).fill(0x81).concat([0x01]), // arrays nested 20 deep
+    [0x1c] // reserved additional information
+  ];
+  for (const bytes of cases) {
+    await assert.rejects(
+      verifyRegistration(withResponse(passkey.registration, { attestationObject: bytesToBase64Url(new Uint8Array(bytes)) }), expected),
+      WebAuthnError
+    );
+  }
+});
+
+test('COSE keys with missing or wrong-sized coordinates are rejected', async () => {
+  const keyOffset = passkey.authData.length - 77;
+  const shortX = concat(
+    passkey.authData.slice(0, keyOffset),
+    new Uint8Array([0xa5, 0x01, 0x02, 0x03, 0x26, 0x20, 0x01, 0x21]), cborBytes(new Uint8Array(31)),
+    new Uint8Array([0x22]), cborBytes(new Uint8Array(32))
+  );
+  const notAMap = concat(passkey.authData.slice(0, keyOffset), new Uint8Array([0x80]));
+
+  for (const authData of [shortX, notAMap]) {
+    await assert.rejects(
+      verifyRegistration(withResponse(passkey.registration, { attestationObject: passkey.withAuthData(authData) }), expected),
+      WebAuthnError
+    );
+  }
+});
+
+test('malformed DER signatures are rejected', async () => {
+  const valid = await passkey.assertion(3);
+  const signatures = [
+    [],
+    [0x30, 0x06, 0x02, 0x40, 0x01], // integer longer than the signature
+    [0x30, 0x2e, 0x02, 0x28, ...new Uint8Array(40).fill(1), 0x02, 0x01, 0x01], // 40-byte r
+    [0x30, 0x06, 0x05, 0x01, 0x01, 0x02, 0x01, 0x01] // not an integer
+  ];
+  for (const bytes of signatures) {
+    await assert.rejects(
+      verifyAuthentication(withResponse(valid, { signature: bytesToBase64Url(new Uint8Array(bytes)) }), expected, stored),
+      WebAuthnError
+    );
+  }
+});
+
+test('random corruption of an attestation never escapes as another error', async () => {
+  const attestation = base64UrlToBytes(passkey.registration.response.attestationObject);
+  let seed = 1;
+  const random = () => (seed = (seed * 1103515245 + 12345) & 0x7fffffff) / 0x7fffffff;
+
+  for (let i = 0; i < 500; i++) {
+    const mutated = attestation.slice();
+    for (let j = 0; j < 1 + random() * 4; j++) {
+      mutated[Math.floor(random() * mutated.length)] = Math.floor(random() * 256);
+    }
+    try {
+      await verifyRegistration(withResponse(passkey.registration, { attestationObject: bytesToBase64Url(mutated) }), expected);
+    } catch (error) {
+      assert.ok(error instanceof WebAuthnError, `${error.name}: ${error.message}`);
+    }
+  }
+});